@@ -7,24 +7,75 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   console.log('Background received message:', message);
 
   if (message.action === 'scrapingComplete') {
-    // Save the scraped data to storage
-    chrome.storage.local.set(
-      {
-        lastScrapedData: message.data
-      },
-      function () {
-        console.log('Data saved to storage');
+    if (message.data && message.data.harvestOnly) {
+      // Phase 1 of a crawl finished in the group tab; this message may be
+      // what woke the service worker, so wait for the crawl to be restored
+      crawlRestored.then(() => {
+        if (crawl && sender.tab?.id === crawl.tabId) {
+          startDeepScrape(crawl, message.data);
+        }
+      });
+      return;
+    }
 
-        // Show notification
-        chrome.action.setBadgeText({ text: '✓' });
-        chrome.action.setBadgeBackgroundColor({ color: '#4CAF50' });
+    // A batch is waiting for this tab's result
+    const waiter = sender.tab && scrapeWaiters.get(sender.tab.id);
+    if (waiter) {
+      waiter(message.data);
+      return;
+    }
 
-        // Clear badge after 5 seconds
-        setTimeout(() => {
-          chrome.action.setBadgeText({ text: '' });
-        }, 5000);
-      }
+    saveResult(message.data);
+  } else if (message.action === 'startCrawl') {
+    // A batch or scheduled job may be waiting on the running crawl
+    if (crawl) {
+      sendResponse({ success: false, error: 'Another crawl is running' });
+      return;
+    }
+    startCrawl(
+      message.tabId,
+      message.count,
+      message.options,
+      message.concurrency
     );
+    sendResponse({ success: true, status: 'started' });
+  } else if (message.action === 'stopCrawl') {
+    stopCrawl();
+    sendResponse({ success: true, status: 'stopped' });
+  } else if (message.action === 'getCrawlState') {
+    sendResponse({ state: crawl ? getCrawlProgress(crawl) : null });
+  } else if (message.action === 'startBatch') {
+    const error = startBatch(message.urls, message.settings);
+    sendResponse({
+      success: !error,
+      error,
+      state: batch && getBatchState(batch)
+    });
+  } else if (message.action === 'pauseBatch') {
+    pauseBatch();
+    sendResponse({ success: true });
+  } else if (message.action === 'resumeBatch') {
+    resumeBatch();
+    sendResponse({ success: true });
+  } else if (message.action === 'skipBatchItem') {
+    skipBatchItem(message.index);
+    sendResponse({ success: true });
+  } else if (message.action === 'retryBatchItem') {
+    retryBatchItem(message.index);
+    sendResponse({ success: true });
+  } else if (message.action === 'getBatchState') {
+    sendResponse({ state: batch ? getBatchState(batch) : null });
+  } else if (message.action === 'getSchedule') {
+    getScheduleState().then((state) => sendResponse({ state }));
+    return true;
+  } else if (message.action === 'saveJob') {
+    saveJob(message.job).then((job) => sendResponse({ success: !!job, job }));
+    return true;
+  } else if (message.action === 'removeJob') {
+    removeJob(message.jobId).then(() => sendResponse({ success: true }));
+    return true;
+  } else if (message.action === 'runJobNow') {
+    sendResponse({ success: queueJob(message.jobId) });
   } else if (message.action === 'downloadData') {
     downloadData(message.data, message.filename);
   } else if (message.action === 'contentScriptLoaded') {
@@ -32,10 +83,1022 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+/**
+ * Save a finished scrape and flash the badge
+ */
+function saveResult(data) {
+  // Save the scraped data to storage
+  chrome.storage.local.set(
+    {
+      lastScrapedData: data
+    },
+    function () {
+      console.log('Data saved to storage');
+
+      // Show notification
+      chrome.action.setBadgeText({ text: '✓' });
+      chrome.action.setBadgeBackgroundColor({ color: '#4CAF50' });
+
+      // Clear badge after 5 seconds
+      setTimeout(() => {
+        chrome.action.setBadgeText({ text: '' });
+      }, 5000);
+    }
+  );
+}
+
+// Two-phase crawl run by the service worker, one at a time
+let crawl = null;
+
+/**
+ * Start a crawl: phase 1 harvests permalinks in the group tab, phase 2
+ * opens each post in a background tab and scrapes it fully
+ * @param {Function} onFinish - Gets the merged result, or null and the error
+ * when the harvest was stopped or failed
+ * @param {string} owner - 'popup', 'batch' or 'job': only popup crawls are
+ * resumed after a service worker restart, the others are marked interrupted
+ */
+function startCrawl(
+  tabId,
+  count,
+  options = {},
+  concurrency = 2,
+  onFinish = (result) => result && saveResult(result),
+  owner = 'popup'
+) {
+  const current = {
+    tabId,
+    options,
+    onFinish,
+    owner,
+    concurrency: Math.min(Math.max(parseInt(concurrency) || 1, 1), 5),
+    phase: 'harvest',
+    group: null,
+    stats: null,
+    posts: [],
+    queue: [],
+    inFlight: [],
+    harvested: 0,
+    total: 0,
+    active: 0,
+    done: 0,
+    failed: 0,
+    filtered: 0,
+    stopped: false,
+    error: null,
+    startedAt: new Date().toISOString()
+  };
+  crawl = current;
+  reportCrawlProgress(current);
+
+  sendToTab(tabId, {
+    action: 'startScraping',
+    count,
+    options: { ...options, harvestOnly: true }
+  }).catch((error) => failCrawl(current, error));
+}
+
+/**
+ * End a harvest that can't finish: the group tab is gone or never answered
+ */
+function failCrawl(current, error) {
+  if (current.phase !== 'harvest') return;
+
+  console.error('Crawl failed', error);
+  current.phase = 'failed';
+  current.error = error.message;
+  reportCrawlProgress(current);
+  if (crawl === current) crawl = null;
+  current.onFinish(null, error);
+}
+
+// A crawl can't go on once its group tab is closed mid-harvest
+chrome.tabs.onRemoved.addListener((tabId) => {
+  if (crawl && crawl.phase === 'harvest' && crawl.tabId === tabId) {
+    failCrawl(crawl, new Error('Group tab was closed'));
+  }
+});
+
+/**
+ * Phase 2: queue every harvested post that has a permalink
+ */
+function startDeepScrape(current, data) {
+  if (!current || current.phase !== 'harvest') return;
+
+  current.phase = 'scrape';
+  current.group = data.group;
+  current.stats = data.stats || null;
+  current.posts = data.posts || [];
+  current.queue = current.posts
+    .map((post, index) => (post.permalink ? index : null))
+    .filter((index) => index !== null);
+  current.harvested = current.posts.length;
+  current.total = current.queue.length;
+
+  // Stopped when phase 1 ran out of time: keep the stubs as they are
+  if (current.queue.length === 0 || current.stopped) {
+    finishCrawl(current);
+  } else {
+    reportCrawlProgress(current);
+    runCrawlWorkers(current);
+  }
+}
+
+/**
+ * Keep up to `concurrency` post tabs open until the queue is empty
+ */
+function runCrawlWorkers(current) {
+  while (
+    !current.stopped &&
+    current.active < current.concurrency &&
+    current.queue.length > 0
+  ) {
+    const index = current.queue.shift();
+    const stub = current.posts[index];
+    current.active++;
+    current.inFlight.push(index);
+
+    deepScrapePost(stub.permalink, current.options)
+      .then(({ post, kept }) => {
+        current.done++;
+        if (!kept) {
+          // Bị bộ lọc loại sau khi đọc đủ nội dung
+          current.posts[index] = null;
+          current.filtered++;
+          return;
+        }
+        // Giữ các trường của bước 1 mà trang bài viết không có
+        current.posts[index] = { ...stub, ...post };
+      })
+      .catch((error) => {
+        console.error('Error scraping post', stub.permalink, error);
+        current.posts[index] = { ...stub, deepScrapeError: error.message };
+        current.failed++;
+      })
+      .finally(() => {
+        current.active--;
+        current.inFlight = current.inFlight.filter((i) => i !== index);
+        reportCrawlProgress(current);
+
+        if (
+          current.active === 0 &&
+          (current.stopped || !current.queue.length)
+        ) {
+          finishCrawl(current);
+        } else {
+          runCrawlWorkers(current);
+        }
+      });
+  }
+}
+
+/**
+ * Open a post in a background tab, scrape it and close the tab
+ */
+async function deepScrapePost(url, options) {
+  const tab = await chrome.tabs.create({ url, active: false });
+
+  try {
+    await waitForTabLoad(tab.id, 30000);
+
+    const response = await sendToTab(tab.id, {
+      action: 'scrapePermalink',
+      options
+    });
+
+    if (!response.success) {
+      throw new Error(response.error || 'Post not found on page');
+    }
+    return response;
+  } finally {
+    chrome.tabs.remove(tab.id).catch(() => {});
+  }
+}
+
+/**
+ * Message a tab that just loaded: the content script may still be starting
+ * right after the load event
+ */
+async function sendToTab(tabId, message, attempts = 5) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, message);
+      if (response) return response;
+    } catch (error) {
+      if (attempt >= attempts) throw error;
+    }
+    if (attempt >= attempts) throw new Error('No response from page');
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+  }
+}
+
+/**
+ * Resolve once a tab has finished loading
+ * @param {boolean} checkNow - Resolve at once if the tab is already loaded;
+ * off when the listener is set up before navigating an existing tab
+ */
+function waitForTabLoad(tabId, timeout, checkNow = true) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(new Error('Timed out loading page'));
+    }, timeout);
+
+    function listener(id, info) {
+      if (id !== tabId || info.status !== 'complete') return;
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve();
+    }
+
+    chrome.tabs.onUpdated.addListener(listener);
+
+    // The tab may have finished before the listener was added
+    if (!checkNow) return;
+    chrome.tabs
+      .get(tabId)
+      .then((tab) => {
+        if (tab.status === 'complete') listener(tabId, tab);
+      })
+      .catch((error) => {
+        // Tab đã bị đóng
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        reject(error);
+      });
+  });
+}
+
+/**
+ * Stop a crawl: a harvest is abandoned, a deep scrape keeps what it has
+ */
+function stopCrawl() {
+  if (!crawl) return;
+
+  crawl.stopped = true;
+  if (crawl.phase === 'harvest') {
+    chrome.tabs
+      .sendMessage(crawl.tabId, { action: 'stopScraping' })
+      .catch(() => {}); // Tab may be closed
+    crawl.phase = 'stopped';
+    reportCrawlProgress(crawl);
+    crawl.onFinish(null);
+    crawl = null;
+  } else if (crawl.active === 0) {
+    finishCrawl(crawl);
+  }
+}
+
+/**
+ * Save the merged posts like a regular scrape
+ */
+function finishCrawl(current) {
+  if (current.phase === 'done') return;
+  current.phase = 'done';
+
+  const posts = current.posts.filter(Boolean);
+  const result = {
+    group: current.group,
+    posts,
+    totalScraped: posts.length,
+    isComplete: !current.stopped,
+    // Posts dropped by the filters once their full content was read
+    stats: current.stats && {
+      ...current.stats,
+      kept: posts.length,
+      filtered: current.stats.filtered + current.filtered
+    },
+    lastSaved: new Date().toISOString(),
+    crawl: {
+      harvested: current.harvested,
+      deepScraped: current.done,
+      failed: current.failed,
+      filtered: current.filtered,
+      concurrency: current.concurrency,
+      startedAt: current.startedAt,
+      finishedAt: new Date().toISOString()
+    }
+  };
+
+  current.onFinish(result);
+  reportCrawlProgress(current);
+  chrome.runtime
+    .sendMessage({ action: 'crawlComplete', data: result })
+    .catch(() => {}); // Popup may be closed
+
+  if (crawl === current) crawl = null;
+}
+
+/**
+ * Progress of both phases, as shown in the popup
+ */
+function getCrawlProgress(current) {
+  return {
+    phase: current.phase,
+    harvested: current.harvested,
+    total: current.total,
+    done: current.done,
+    failed: current.failed,
+    filtered: current.filtered,
+    active: current.active,
+    error: current.error
+  };
+}
+
+/**
+ * Store crawl progress, and the crawl itself while it runs, and tell the
+ * popup if it is open
+ */
+function reportCrawlProgress(current) {
+  const progress = getCrawlProgress(current);
+  const running = current.phase === 'harvest' || current.phase === 'scrape';
+  chrome.storage.local.set({
+    crawlProgress: progress,
+    crawlState: running ? { ...current, onFinish: null } : null
+  });
+  chrome.runtime
+    .sendMessage({ action: 'crawlProgress', data: progress })
+    .catch(() => {}); // Popup may be closed
+}
+
+// The service worker may be restarted mid-crawl: pick the crawl back up
+const crawlRestored = chrome.storage.local
+  .get('crawlState')
+  .then(({ crawlState }) => {
+    if (!crawlState || crawl) return;
+
+    // Batches and jobs mark their run interrupted and don't wait for it
+    if (crawlState.owner !== 'popup') {
+      chrome.storage.local.set({ crawlState: null });
+      return;
+    }
+
+    crawl = {
+      ...crawlState,
+      onFinish: (result) => result && saveResult(result),
+      // Post tabs open before the restart were lost, scrape them again
+      queue: [...crawlState.inFlight, ...crawlState.queue],
+      inFlight: [],
+      active: 0
+    };
+
+    if (crawl.phase === 'scrape') {
+      if (crawl.queue.length === 0 || crawl.stopped) finishCrawl(crawl);
+      else runCrawlWorkers(crawl);
+      return;
+    }
+
+    // Phase 1 keeps running in the group tab and reports back as usual
+    const current = crawl;
+    chrome.tabs.get(current.tabId).catch(() => {
+      failCrawl(current, new Error('Group tab was closed'));
+    });
+  });
+
+// Multi-group batch: one group at a time in a single reusable tab
+let batch = null;
+
+// Tabs whose scrapingComplete a batch is waiting for: tabId -> resolve
+const scrapeWaiters = new Map();
+
+// A group that never finishes (feed stuck, login wall) must not block the queue
+const GROUP_SCRAPE_TIMEOUT = 30 * 60 * 1000;
+
+// How long a timed-out group gets to send back what it has collected
+const PARTIAL_RESULT_GRACE = 60 * 1000;
+
+/**
+ * Queue group URLs and scrape them one after another with the same settings
+ * @param {Array<string>} urls - Group URLs
+ * @param {Object} settings - { count, options, crawl, concurrency }
+ * @returns {string|null} Why the batch was not started, null when it was
+ */
+function startBatch(urls, settings = {}) {
+  if (batch && batch.running) return 'A batch is already running';
+
+  const unique = [...new Set((urls || []).map((url) => url.trim()))].filter(
+    (url) => /facebook\.com\/groups\/[^/]+/.test(url)
+  );
+  if (unique.length === 0) return 'No Facebook group URLs to scrape';
+
+  batch = {
+    items: unique.map((url) => ({
+      url,
+      status: 'pending',
+      attempts: 0,
+      posts: null,
+      filename: null,
+      error: null,
+      startedAt: null,
+      finishedAt: null
+    })),
+    settings: {
+      count: 50,
+      options: {},
+      crawl: false,
+      concurrency: 2,
+      ...settings
+    },
+    folder: `facebook_group_batch_${fileTimestamp()}`,
+    tabId: null,
+    current: -1,
+    running: false,
+    paused: false,
+    startedAt: new Date().toISOString()
+  };
+
+  runBatch(batch);
+  return null;
+}
+
+/**
+ * Work through pending groups until the queue is empty or paused
+ */
+async function runBatch(current) {
+  if (current.running) return;
+  current.running = true;
+  reportBatchProgress(current);
+
+  try {
+    while (!current.paused && batch === current) {
+      const index = current.items.findIndex(
+        (item) => item.status === 'pending'
+      );
+      if (index === -1) break;
+      await runBatchItem(current, index);
+    }
+  } finally {
+    current.running = false;
+    reportBatchProgress(current);
+  }
+}
+
+/**
+ * Scrape one group and write its result to its own file
+ */
+async function runBatchItem(current, index) {
+  const item = current.items[index];
+  item.status = 'running';
+  item.attempts++;
+  item.error = null;
+  item.startedAt = new Date().toISOString();
+  item.finishedAt = null;
+  current.current = index;
+  reportBatchProgress(current);
+
+  try {
+    const tabId = await openBatchTab(current, item.url);
+    if (item.status === 'skipped') return;
+
+    const result = await scrapeGroupWithTimeout(
+      tabId,
+      current.settings,
+      'batch',
+      (message) => (item.error = message)
+    );
+
+    // Skipped while running: whatever came back is discarded
+    if (item.status === 'skipped') return;
+    if (!result) throw new Error(item.error || 'Scrape returned no data');
+
+    item.posts = result.posts.length;
+    item.filename = `${current.folder}/facebook_group_${
+      (result.group && result.group.id) || index + 1
+    }.json`;
+    downloadData(result, item.filename, false);
+    item.status = 'done';
+  } catch (error) {
+    console.error('Error scraping group', item.url, error);
+    if (item.status !== 'skipped') {
+      item.status = 'failed';
+      item.error = item.error || error.message;
+    }
+  } finally {
+    item.finishedAt = new Date().toISOString();
+    current.current = -1;
+    reportBatchProgress(current);
+  }
+}
+
+/**
+ * Navigate the batch tab to a group, opening a new one if it was closed
+ */
+async function openBatchTab(current, url) {
+  if (current.tabId !== null) {
+    // Listen before navigating, the old page is still 'complete'
+    const loaded = waitForTabLoad(current.tabId, 60000, false);
+    const tab = await chrome.tabs
+      .update(current.tabId, { url })
+      .catch(() => null);
+    if (tab) {
+      await loaded;
+      return current.tabId;
+    }
+    loaded.catch(() => {});
+    current.tabId = null; // Tab đã bị đóng, mở tab mới
+  }
+
+  current.tabId = await openScrapeWindow(url);
+  await waitForTabLoad(current.tabId, 60000);
+  return current.tabId;
+}
+
+/**
+ * Open a group in its own unfocused window: Chrome doesn't render background
+ * tabs, so the feed's scroll loading and observers would stall there
+ * @returns {Promise<number>} The tab id
+ */
+async function openScrapeWindow(url) {
+  const win = await chrome.windows.create({ url, focused: false });
+  return win.tabs[0].id;
+}
+
+/**
+ * scrapeGroupInTab limited to GROUP_SCRAPE_TIMEOUT: when time runs out the
+ * page sends what it has collected so far, and the promise rejects if that
+ * never arrives so the batch and the job queue always move on
+ * @param {Function} onTimeout - Called with the timeout message
+ * @returns {Promise<Object|null>} The result, partial after a timeout
+ */
+function scrapeGroupWithTimeout(tabId, settings, owner, onTimeout) {
+  return new Promise((resolve, reject) => {
+    let grace = null;
+    const timer = setTimeout(() => {
+      const message = `Timed out after ${GROUP_SCRAPE_TIMEOUT / 60000} minutes`;
+      onTimeout(message);
+      finishGroupScrape(tabId);
+
+      grace = setTimeout(() => {
+        stopGroupScrape(tabId);
+        reject(new Error(message));
+      }, PARTIAL_RESULT_GRACE);
+    }, GROUP_SCRAPE_TIMEOUT);
+
+    scrapeGroupInTab(tabId, settings, owner)
+      .then(resolve, reject)
+      .finally(() => {
+        clearTimeout(timer);
+        clearTimeout(grace);
+      });
+  });
+}
+
+/**
+ * Run a regular scrape or a two-phase crawl in a group tab
+ * @param {string} owner - 'batch' or 'job', see startCrawl
+ * @returns {Promise<Object|null>} The result, or null when it was stopped
+ */
+function scrapeGroupInTab(tabId, settings, owner) {
+  if (settings.crawl) {
+    // Only one crawl can run, a batch and a scheduled job may overlap
+    if (crawl) return Promise.reject(new Error('Another crawl is running'));
+
+    return new Promise((resolve, reject) =>
+      startCrawl(
+        tabId,
+        settings.count,
+        settings.options,
+        settings.concurrency,
+        (result, error) => (error ? reject(error) : resolve(result)),
+        owner
+      )
+    );
+  }
+
+  return new Promise((resolve, reject) => {
+    scrapeWaiters.set(tabId, (result) => {
+      scrapeWaiters.delete(tabId);
+      resolve(result);
+    });
+
+    sendToTab(tabId, {
+      action: 'startScraping',
+      count: settings.count,
+      options: settings.options
+    }).catch((error) => {
+      scrapeWaiters.delete(tabId);
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Wrap up whatever runs in a group tab, keeping what it has: a crawl skips
+ * the posts it has not opened yet
+ */
+function finishGroupScrape(tabId) {
+  if (crawl && crawl.tabId === tabId) {
+    if (crawl.phase !== 'harvest') {
+      stopCrawl();
+      return;
+    }
+    // The harvested stubs come back as usual and go straight to finishCrawl
+    crawl.stopped = true;
+  }
+  chrome.tabs.sendMessage(tabId, { action: 'finishScraping' }).catch(() => {});
+}
+
+/**
+ * Stop whatever runs in a batch tab and release its waiter
+ */
+function stopGroupScrape(tabId) {
+  if (crawl && crawl.tabId === tabId) {
+    stopCrawl();
+    return;
+  }
+
+  chrome.tabs.sendMessage(tabId, { action: 'stopScraping' }).catch(() => {});
+  const waiter = scrapeWaiters.get(tabId);
+  if (waiter) waiter(null);
+}
+
+/**
+ * Hold the queue: the group being scraped finishes first
+ */
+function pauseBatch() {
+  if (!batch) return;
+  batch.paused = true;
+  reportBatchProgress(batch);
+}
+
+function resumeBatch() {
+  if (!batch) return;
+  batch.paused = false;
+  runBatch(batch);
+}
+
+/**
+ * Skip a pending group, or stop the one being scraped and move on
+ * @param {number} index - Item index, the running group when omitted
+ */
+function skipBatchItem(index = batch && batch.current) {
+  const item = batch && batch.items[index];
+  if (!item) return;
+
+  if (item.status === 'pending') {
+    item.status = 'skipped';
+  } else if (item.status === 'running') {
+    item.status = 'skipped';
+    if (batch.tabId !== null) stopGroupScrape(batch.tabId);
+  }
+  reportBatchProgress(batch);
+}
+
+/**
+ * Put a failed or skipped group back in the queue
+ */
+function retryBatchItem(index) {
+  const item = batch && batch.items[index];
+  if (!item || (item.status !== 'failed' && item.status !== 'skipped')) return;
+
+  item.status = 'pending';
+  item.error = null;
+  if (!batch.paused) runBatch(batch);
+  else reportBatchProgress(batch);
+}
+
+/**
+ * Queue status as shown in the popup
+ */
+function getBatchState(current) {
+  return {
+    items: current.items,
+    current: current.current,
+    running: current.running,
+    paused: current.paused,
+    folder: current.folder,
+    settings: current.settings,
+    startedAt: current.startedAt
+  };
+}
+
+/**
+ * Current time usable in a file name: 2025-03-25T07-30-00
+ */
+function fileTimestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+}
+
+/**
+ * Store batch status and tell the popup if it is open
+ */
+function reportBatchProgress(current) {
+  const state = getBatchState(current);
+  chrome.storage.local.set({ batchState: state });
+  chrome.runtime
+    .sendMessage({ action: 'batchProgress', data: state })
+    .catch(() => {}); // Popup may be closed
+}
+
+// The service worker may be restarted mid-batch: restore the queue paused
+chrome.storage.local.get('batchState', ({ batchState }) => {
+  if (!batchState || batch) return;
+
+  for (const item of batchState.items) {
+    if (item.status === 'running') {
+      item.status = 'failed';
+      item.error = 'Interrupted';
+    }
+  }
+  batch = {
+    ...batchState,
+    tabId: null,
+    current: -1,
+    running: false,
+    paused: batchState.items.some((item) => item.status === 'pending')
+  };
+});
+
+// Scheduled jobs: { id, url, schedule, settings, enabled, createdAt }, where
+// schedule is { type: 'interval', minutes } or { type: 'daily', time: 'HH:MM' }
+const JOB_ALARM_PREFIX = 'job:';
+const JOB_HISTORY_LIMIT = 100;
+
+// Jobs run one at a time so overlapping alarms don't open a tab each
+let jobQueue = Promise.resolve();
+const queuedJobs = new Set();
+
+// History updates run one after another so none overwrites another
+let jobHistoryWrite = Promise.resolve();
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (!alarm.name.startsWith(JOB_ALARM_PREFIX)) return;
+  const jobId = alarm.name.slice(JOB_ALARM_PREFIX.length);
+
+  getJobs().then((jobs) => {
+    const job = jobs.find((j) => j.id === jobId);
+    if (!job || !job.enabled) return;
+
+    // Daily alarms are one-shot so they stay on the wall-clock time
+    if (job.schedule.type === 'daily') createJobAlarm(job);
+    queueJob(job.id);
+  });
+});
+
+async function getJobs() {
+  const { scheduledJobs } = await chrome.storage.local.get('scheduledJobs');
+  return scheduledJobs || [];
+}
+
+async function getJobHistory() {
+  const { jobHistory } = await chrome.storage.local.get('jobHistory');
+  return jobHistory || [];
+}
+
+/**
+ * Add a job, or replace the one with the same id, and arm its alarm
+ * @param {Object} job - { url, schedule, settings }
+ * @returns {Object|null} The saved job, null when the URL or schedule is invalid
+ */
+async function saveJob(job) {
+  if (!job || !/facebook\.com\/groups\/[^/]+/.test(job.url || '')) return null;
+
+  const schedule = normalizeSchedule(job.schedule);
+  if (!schedule) return null;
+
+  const saved = {
+    id:
+      job.id ||
+      `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    url: job.url.trim(),
+    schedule,
+    settings: {
+      count: 50,
+      options: {},
+      crawl: false,
+      concurrency: 2,
+      ...job.settings
+    },
+    enabled: job.enabled !== false,
+    createdAt: job.createdAt || new Date().toISOString()
+  };
+
+  const jobs = (await getJobs()).filter((j) => j.id !== saved.id);
+  jobs.push(saved);
+  await chrome.storage.local.set({ scheduledJobs: jobs });
+
+  await chrome.alarms.clear(JOB_ALARM_PREFIX + saved.id);
+  if (saved.enabled) createJobAlarm(saved);
+  reportSchedule();
+  return saved;
+}
+
+/**
+ * Validate a schedule from the popup
+ */
+function normalizeSchedule(schedule) {
+  if (!schedule) return null;
+
+  if (schedule.type === 'interval') {
+    const minutes = parseInt(schedule.minutes);
+    // Chrome không chạy alarm dày hơn 1 phút
+    return minutes >= 1 ? { type: 'interval', minutes } : null;
+  }
+
+  if (schedule.type === 'daily' && /^\d{1,2}:\d{2}$/.test(schedule.time)) {
+    const [hours, minutes] = schedule.time.split(':').map(Number);
+    if (hours < 24 && minutes < 60) {
+      return { type: 'daily', time: schedule.time };
+    }
+  }
+  return null;
+}
+
+async function removeJob(jobId) {
+  const jobs = (await getJobs()).filter((j) => j.id !== jobId);
+  await chrome.storage.local.set({ scheduledJobs: jobs });
+  await chrome.alarms.clear(JOB_ALARM_PREFIX + jobId);
+  reportSchedule();
+}
+
+function createJobAlarm(job) {
+  const name = JOB_ALARM_PREFIX + job.id;
+
+  if (job.schedule.type === 'interval') {
+    chrome.alarms.create(name, {
+      delayInMinutes: job.schedule.minutes,
+      periodInMinutes: job.schedule.minutes
+    });
+  } else {
+    chrome.alarms.create(name, { when: nextDailyRun(job.schedule.time) });
+  }
+}
+
+/**
+ * Next local time matching "HH:MM", today or tomorrow
+ */
+function nextDailyRun(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const next = new Date();
+  next.setHours(hours, minutes, 0, 0);
+  if (next.getTime() <= Date.now()) next.setDate(next.getDate() + 1);
+  return next.getTime();
+}
+
+/**
+ * Re-arm alarms lost when the browser restarted
+ */
+async function syncJobAlarms() {
+  const alarms = await chrome.alarms.getAll();
+  const armed = new Set(alarms.map((alarm) => alarm.name));
+
+  for (const job of await getJobs()) {
+    if (job.enabled && !armed.has(JOB_ALARM_PREFIX + job.id)) {
+      createJobAlarm(job);
+    }
+  }
+}
+
+/**
+ * Run a job after the ones already waiting, unless it is already queued
+ */
+function queueJob(jobId) {
+  if (queuedJobs.has(jobId)) return false;
+  queuedJobs.add(jobId);
+
+  jobQueue = jobQueue
+    .then(() => runScheduledJob(jobId))
+    .catch((error) => console.error('Error running job', jobId, error))
+    .finally(() => queuedJobs.delete(jobId));
+  return true;
+}
+
+/**
+ * Open the group in an unfocused window, scrape it, write the result file and
+ * close it, recording the run in the job history
+ */
+async function runScheduledJob(jobId) {
+  const job = (await getJobs()).find((j) => j.id === jobId);
+  if (!job) return;
+
+  const run = {
+    id: `${jobId}-${Date.now()}`,
+    jobId,
+    url: job.url,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    duration: null,
+    posts: null,
+    filename: null,
+    error: null
+  };
+  await recordJobRun(run);
+
+  let tabId = null;
+  try {
+    tabId = await openScrapeWindow(job.url);
+    await waitForTabLoad(tabId, 60000);
+
+    const result = await scrapeGroupWithTimeout(
+      tabId,
+      job.settings,
+      'job',
+      (message) => (run.error = message)
+    );
+    if (!result) throw new Error(run.error || 'Scrape returned no data');
+
+    const group = (result.group && result.group.id) || jobId;
+    run.posts = result.posts.length;
+    run.filename = `facebook_group_schedule/facebook_group_${group}_${fileTimestamp()}.json`;
+    downloadData(result, run.filename, false);
+    run.status = 'done';
+  } catch (error) {
+    console.error('Error in scheduled job', job.url, error);
+    run.status = 'failed';
+    run.error = run.error || error.message;
+  } finally {
+    if (tabId !== null) chrome.tabs.remove(tabId).catch(() => {});
+
+    run.finishedAt = new Date().toISOString();
+    run.duration = Date.parse(run.finishedAt) - Date.parse(run.startedAt);
+    await recordJobRun(run);
+  }
+}
+
+/**
+ * Insert or update a run in the history, newest first
+ */
+async function recordJobRun(run) {
+  await updateJobHistory((history) => [
+    { ...run },
+    ...history.filter((r) => r.id !== run.id)
+  ]);
+  reportSchedule();
+}
+
+/**
+ * Read, change and write the job history with no other update in between
+ * @param {Function} update - Gets the stored history, returns the new one
+ */
+function updateJobHistory(update) {
+  jobHistoryWrite = jobHistoryWrite
+    .then(async () => {
+      const history = update(await getJobHistory());
+      await chrome.storage.local.set({
+        jobHistory: history.slice(0, JOB_HISTORY_LIMIT)
+      });
+    })
+    .catch((error) => console.error('Error saving job history', error));
+  return jobHistoryWrite;
+}
+
+/**
+ * Jobs with their next run time, plus the history, as shown in the popup
+ */
+async function getScheduleState() {
+  const alarms = await chrome.alarms.getAll();
+  const nextRuns = Object.fromEntries(
+    alarms.map((alarm) => [alarm.name, alarm.scheduledTime])
+  );
+
+  return {
+    jobs: (await getJobs()).map((job) => ({
+      ...job,
+      nextRunAt: nextRuns[JOB_ALARM_PREFIX + job.id] || null,
+      queued: queuedJobs.has(job.id)
+    })),
+    history: await getJobHistory()
+  };
+}
+
+/**
+ * Tell the popup the jobs or history changed, if it is open
+ */
+function reportSchedule() {
+  // Popup may be closed
+  chrome.runtime.sendMessage({ action: 'scheduleUpdated' }).catch(() => {});
+}
+
+// Runs still marked running were cut off when the service worker stopped.
+// This is the first history update of this worker, so none of them is a run
+// started since
+updateJobHistory((history) =>
+  history.map((run) =>
+    run.status === 'running'
+      ? {
+          ...run,
+          status: 'failed',
+          error: 'Interrupted',
+          finishedAt: new Date().toISOString()
+        }
+      : run
+  )
+);
+
+chrome.runtime.onStartup.addListener(syncJobAlarms);
+chrome.runtime.onInstalled.addListener(syncJobAlarms);
+
 /**
  * Download data as JSON file
+ * @param {boolean} saveAs - Ask where to save; batch and scheduled files go
+ * straight to the downloads folder
  */
-function downloadData(data, filename = 'facebook_group_data.json') {
+function downloadData(
+  data,
+  filename = 'facebook_group_data.json',
+  saveAs = true
+) {
   try {
     // Convert the data to a JSON string
     const jsonString = JSON.stringify(data, null, 2);
@@ -49,7 +1112,7 @@ function downloadData(data, filename = 'facebook_group_data.json') {
       {
         url: dataUri,
         filename: filename,
-        saveAs: true
+        saveAs: saveAs
       },
       (downloadId) => {
         console.log('Download started with ID:', downloadId);
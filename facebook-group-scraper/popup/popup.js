@@ -7,13 +7,47 @@ document.addEventListener('DOMContentLoaded', function () {
   const mainContent = document.getElementById('main-content');
   const groupDetails = document.getElementById('group-details');
   const postCount = document.getElementById('post-count');
+  const sinceDate = document.getElementById('since-date');
+  const untilDate = document.getElementById('until-date');
+  const stopAfterOlder = document.getElementById('stop-after-older');
+  const replyDepth = document.getElementById('reply-depth');
+  const commentMode = document.getElementById('comment-mode');
+  const maxComments = document.getElementById('max-comments');
+  const photoViewer = document.getElementById('photo-viewer');
+  const richTextFormat = document.getElementById('rich-text-format');
+  const expandTranslations = document.getElementById('expand-translations');
+  const excludeSponsored = document.getElementById('exclude-sponsored');
+  const twoPhaseCrawl = document.getElementById('two-phase-crawl');
+  const crawlTabs = document.getElementById('crawl-tabs');
+  const includeKeywords = document.getElementById('include-keywords');
+  const excludeKeywords = document.getElementById('exclude-keywords');
+  const filterAuthors = document.getElementById('filter-authors');
+  const excludeAuthors = document.getElementById('exclude-authors');
+  const minReactions = document.getElementById('min-reactions');
+  const minComments = document.getElementById('min-comments');
+  const filterLanguages = document.getElementById('filter-languages');
   const startBtn = document.getElementById('start-btn');
   const stopBtn = document.getElementById('stop-btn');
   const downloadBtn = document.getElementById('download-btn');
   const progress = document.getElementById('progress');
   const postsScraped = document.getElementById('posts-scraped');
+  const crawlStatus = document.getElementById('crawl-status');
   const results = document.getElementById('results');
   const resultsSummary = document.getElementById('results-summary');
+  const batchUrls = document.getElementById('batch-urls');
+  const batchStartBtn = document.getElementById('batch-start-btn');
+  const batchPauseBtn = document.getElementById('batch-pause-btn');
+  const batchSkipBtn = document.getElementById('batch-skip-btn');
+  const batchStatus = document.getElementById('batch-status');
+  const batchItems = document.getElementById('batch-items');
+  const jobUrl = document.getElementById('job-url');
+  const jobType = document.getElementById('job-type');
+  const jobTime = document.getElementById('job-time');
+  const jobMinutes = document.getElementById('job-minutes');
+  const addJobBtn = document.getElementById('add-job-btn');
+  const jobStatus = document.getElementById('job-status');
+  const jobList = document.getElementById('job-list');
+  const jobHistory = document.getElementById('job-history');
 
   let currentGroupInfo = null;
   let lastScrapedData = null;
@@ -34,6 +68,44 @@ document.addEventListener('DOMContentLoaded', function () {
   // Check for active scraping session
   loadScrapingState();
 
+  // Batch queue runs in the service worker, independent of the active tab
+  batchStartBtn.addEventListener('click', startBatch);
+  batchPauseBtn.addEventListener('click', toggleBatchPause);
+  batchSkipBtn.addEventListener('click', function () {
+    chrome.runtime.sendMessage({ action: 'skipBatchItem' });
+  });
+  batchItems.addEventListener('click', function (event) {
+    const index = event.target.dataset.retry;
+    if (index !== undefined) {
+      chrome.runtime.sendMessage({
+        action: 'retryBatchItem',
+        index: parseInt(index)
+      });
+    }
+  });
+  chrome.runtime.onMessage.addListener(function (message) {
+    if (message.action === 'batchProgress') showBatchState(message.data);
+  });
+  chrome.runtime.sendMessage({ action: 'getBatchState' }, function (response) {
+    showBatchState(response && response.state);
+  });
+
+  // Scheduled jobs are run by chrome.alarms in the service worker
+  addJobBtn.addEventListener('click', addJob);
+  jobType.addEventListener('change', function () {
+    const daily = jobType.value === 'daily';
+    jobTime.closest('.option').classList.toggle('hidden', !daily);
+    jobMinutes.closest('.option').classList.toggle('hidden', daily);
+  });
+  jobList.addEventListener('click', function (event) {
+    const { jobAction, jobId } = event.target.dataset;
+    if (jobAction) handleJobAction(jobAction, jobId);
+  });
+  chrome.runtime.onMessage.addListener(function (message) {
+    if (message.action === 'scheduleUpdated') loadSchedule();
+  });
+  loadSchedule();
+
   /**
    * Check if current tab is a Facebook group
    */
@@ -49,6 +121,7 @@ document.addEventListener('DOMContentLoaded', function () {
         // We're on a Facebook group page
         notFacebookGroup.classList.add('hidden');
         mainContent.classList.remove('hidden');
+        if (!jobUrl.value) jobUrl.value = currentTab.url.split('?')[0];
 
         // Get group info
         chrome.tabs.sendMessage(
@@ -103,8 +176,33 @@ document.addEventListener('DOMContentLoaded', function () {
             lastScrapedData.group.scrapedAt
           ).toLocaleString()}</p>
           <p>Group: ${lastScrapedData.group.name}</p>
-          <p>Posts collected: ${lastScrapedData.posts.length}</p>
+          <p>Members: ${
+            lastScrapedData.group.membersCount !== null &&
+            lastScrapedData.group.membersCount !== undefined
+              ? lastScrapedData.group.membersCount.toLocaleString()
+              : 'Unknown'
+          }</p>
+          <p>Posts collected: ${lastScrapedData.posts.length}${
+            lastScrapedData.stats
+              ? ` (${lastScrapedData.stats.seen.toLocaleString()} seen)`
+              : ''
+          }</p>
           <p>Images found: ${countImages(lastScrapedData.posts)}</p>
+          <p>Reshared posts: ${
+            lastScrapedData.posts.filter((post) => post.sharedPost).length
+          }</p>
+          <p>Listings: ${
+            lastScrapedData.posts.filter((post) => post.listing).length
+          }</p>
+          <p>Pinned/announcements: ${
+            lastScrapedData.posts.filter(
+              (post) => post.isPinned || post.isAnnouncement
+            ).length
+          }</p>
+          <p>Reactions: ${formatReactions(
+            countReactions(lastScrapedData.posts)
+          )}</p>
+          <p>Languages: ${formatLanguages(lastScrapedData.posts)}</p>
         `;
       }
     });
@@ -120,6 +218,65 @@ document.addEventListener('DOMContentLoaded', function () {
     );
   }
 
+  /**
+   * Sum per-type reactions across posts
+   */
+  function countReactions(posts) {
+    const totals = {
+      total: 0,
+      like: 0,
+      love: 0,
+      care: 0,
+      haha: 0,
+      wow: 0,
+      sad: 0,
+      angry: 0
+    };
+
+    for (const post of posts) {
+      // Older exports only have the likes number
+      const reactions = post.reactions || { total: post.likes || 0 };
+      for (const type of Object.keys(totals)) {
+        totals[type] += reactions[type] || 0;
+      }
+    }
+
+    return totals;
+  }
+
+  /**
+   * Format reaction totals as "1,234 (like 1,000, haha 234)"
+   */
+  function formatReactions(totals) {
+    const breakdown = Object.keys(totals)
+      .filter((type) => type !== 'total' && totals[type] > 0)
+      .map((type) => `${type} ${totals[type].toLocaleString()}`);
+
+    return breakdown.length
+      ? `${totals.total.toLocaleString()} (${breakdown.join(', ')})`
+      : totals.total.toLocaleString();
+  }
+
+  /**
+   * Format post counts per language as "vi 120, en 30"
+   */
+  function formatLanguages(posts) {
+    const counts = {};
+    for (const post of posts) {
+      // Older exports have no language yet, detect it from the content
+      const language =
+        post.language || window.languageDetector.detect(post.content).language;
+      counts[language] = (counts[language] || 0) + 1;
+    }
+
+    return (
+      Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([language, count]) => `${language} ${count.toLocaleString()}`)
+        .join(', ') || 'none'
+    );
+  }
+
   /**
    * Start scraping posts
    */
@@ -127,29 +284,334 @@ document.addEventListener('DOMContentLoaded', function () {
     chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
       const count = parseInt(postCount.value);
 
-      chrome.tabs.sendMessage(
-        tabs[0].id,
-        {
-          action: 'startScraping',
-          count: count
-        },
+      const onStarted = function (response) {
+        if (response && response.success) {
+          // Update UI to show scraping is active
+          isScrapingActive = true;
+          startBtn.classList.add('hidden');
+          stopBtn.classList.remove('hidden');
+          progress.classList.remove('hidden');
+          results.classList.add('hidden');
+
+          // Start a progress simulation (since we don't get real-time updates)
+          simulateProgress(count);
+        } else if (response && response.error) {
+          progress.classList.remove('hidden');
+          crawlStatus.classList.remove('hidden');
+          crawlStatus.textContent = response.error;
+        }
+      };
+
+      if (twoPhaseCrawl.checked) {
+        // The service worker runs both phases and opens the post tabs
+        chrome.runtime.sendMessage(
+          {
+            action: 'startCrawl',
+            tabId: tabs[0].id,
+            count: count,
+            options: getScrapingOptions(),
+            concurrency: parseInt(crawlTabs.value) || 1
+          },
+          onStarted
+        );
+      } else {
+        chrome.tabs.sendMessage(
+          tabs[0].id,
+          {
+            action: 'startScraping',
+            count: count,
+            options: getScrapingOptions()
+          },
+          onStarted
+        );
+      }
+    });
+  }
+
+  /**
+   * Show which crawl phase is running and how far it got
+   */
+  function showCrawlProgress(state) {
+    const progressBar = document.querySelector('.progress-value');
+    crawlStatus.classList.remove('hidden');
+
+    if (state.phase === 'harvest') {
+      crawlStatus.textContent =
+        'Phase 1/2: collecting post links from the feed';
+    } else if (state.phase === 'scrape') {
+      const finished = state.done + state.failed;
+      crawlStatus.textContent = `Phase 2/2: scraping posts ${finished}/${
+        state.total
+      }, ${state.active} tabs open${
+        state.failed ? `, ${state.failed} failed` : ''
+      }`;
+      progressBar.style.width = `${
+        state.total ? Math.min((finished / state.total) * 100, 100) : 100
+      }%`;
+      postsScraped.textContent = state.done;
+    } else if (state.phase === 'failed') {
+      crawlStatus.textContent = `Crawl failed: ${state.error}`;
+      isScrapingActive = false;
+      startBtn.classList.remove('hidden');
+      stopBtn.classList.add('hidden');
+    } else {
+      crawlStatus.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Collect scraping options from the form
+   */
+  function getScrapingOptions() {
+    return {
+      maxReplyDepth: parseInt(replyDepth.value) || 0,
+      commentMode: commentMode.value,
+      maxCommentsPerPost: parseInt(maxComments.value) || 0,
+      openPhotoViewer: photoViewer.checked,
+      richTextFormat: richTextFormat.value || null,
+      expandTranslations: expandTranslations.checked,
+      excludeSponsored: excludeSponsored.checked,
+      sinceDate: sinceDate.value || null,
+      untilDate: untilDate.value || null,
+      stopAfterOlderPosts: parseInt(stopAfterOlder.value) || 5,
+      filters: {
+        includeKeywords: includeKeywords.value,
+        excludeKeywords: excludeKeywords.value,
+        authors: filterAuthors.value,
+        excludeAuthors: excludeAuthors.value,
+        minReactions: parseInt(minReactions.value) || 0,
+        minComments: parseInt(minComments.value) || 0,
+        mediaTypes: Array.from(
+          document.querySelectorAll('.media-type:checked')
+        ).map((input) => input.value),
+        languages: filterLanguages.value
+      }
+    };
+  }
+
+  /**
+   * Queue every group URL in the textarea with the current settings
+   */
+  function startBatch() {
+    const urls = batchUrls.value
+      .split('\n')
+      .map((url) => url.trim())
+      .filter(Boolean);
+
+    chrome.runtime.sendMessage(
+      {
+        action: 'startBatch',
+        urls: urls,
+        settings: {
+          count: parseInt(postCount.value) || 50,
+          options: getScrapingOptions(),
+          crawl: twoPhaseCrawl.checked,
+          concurrency: parseInt(crawlTabs.value) || 1
+        }
+      },
+      function (response) {
+        if (response && response.success) {
+          showBatchState(response.state);
+        } else {
+          batchStatus.textContent =
+            (response && response.error) || 'Could not start the batch';
+        }
+      }
+    );
+  }
+
+  function toggleBatchPause() {
+    chrome.runtime.sendMessage({
+      action: batchPauseBtn.dataset.paused ? 'resumeBatch' : 'pauseBatch'
+    });
+  }
+
+  /**
+   * Show queue status and one line per group
+   */
+  function showBatchState(state) {
+    if (!state) return;
+
+    const counts = { pending: 0, running: 0, done: 0, failed: 0, skipped: 0 };
+    for (const item of state.items) counts[item.status]++;
+
+    let label = 'Finished';
+    if (state.running)
+      label = state.paused ? 'Pausing after this group' : 'Running';
+    else if (state.paused) label = 'Paused';
+
+    batchStatus.textContent = `${label}: ${counts.done}/${
+      state.items.length
+    } done${counts.failed ? `, ${counts.failed} failed` : ''}${
+      counts.skipped ? `, ${counts.skipped} skipped` : ''
+    }`;
+
+    const canResume = state.paused && counts.pending > 0;
+    batchStartBtn.classList.toggle('hidden', state.running || canResume);
+    batchPauseBtn.classList.toggle('hidden', !state.running && !canResume);
+    batchPauseBtn.textContent = state.paused ? 'Resume' : 'Pause';
+    if (state.paused) batchPauseBtn.dataset.paused = 'true';
+    else delete batchPauseBtn.dataset.paused;
+    batchSkipBtn.classList.toggle('hidden', state.current < 0);
+
+    batchItems.textContent = '';
+    state.items.forEach((item, index) => {
+      const li = document.createElement('li');
+      const text = document.createElement('span');
+      text.textContent = `${groupSlug(item.url)} - ${item.status}${
+        item.posts !== null ? ` (${item.posts} posts)` : ''
+      }${item.error ? `: ${item.error}` : ''}`;
+      if (item.status === 'failed') text.className = 'item-failed';
+      li.appendChild(text);
+
+      if (item.status === 'failed' || item.status === 'skipped') {
+        const retry = document.createElement('button');
+        retry.className = 'secondary';
+        retry.textContent = 'Retry';
+        retry.dataset.retry = index;
+        li.appendChild(retry);
+      }
+      batchItems.appendChild(li);
+    });
+  }
+
+  /**
+   * Schedule the group in the job form with the current settings
+   */
+  function addJob() {
+    chrome.runtime.sendMessage(
+      {
+        action: 'saveJob',
+        job: {
+          url: jobUrl.value.trim(),
+          schedule:
+            jobType.value === 'daily'
+              ? { type: 'daily', time: jobTime.value }
+              : { type: 'interval', minutes: parseInt(jobMinutes.value) },
+          settings: {
+            count: parseInt(postCount.value) || 50,
+            options: getScrapingOptions(),
+            crawl: twoPhaseCrawl.checked,
+            concurrency: parseInt(crawlTabs.value) || 1
+          }
+        }
+      },
+      function (response) {
+        jobStatus.textContent =
+          response && response.success
+            ? ''
+            : 'Enter a Facebook group URL and a valid schedule';
+      }
+    );
+  }
+
+  /**
+   * Run now, pause/enable or remove a job from its list buttons
+   */
+  function handleJobAction(jobAction, jobId) {
+    if (jobAction === 'run') {
+      chrome.runtime.sendMessage({ action: 'runJobNow', jobId });
+    } else if (jobAction === 'remove') {
+      chrome.runtime.sendMessage({ action: 'removeJob', jobId });
+    } else if (jobAction === 'toggle') {
+      chrome.runtime.sendMessage(
+        { action: 'getSchedule' },
         function (response) {
-          if (response && response.success) {
-            // Update UI to show scraping is active
-            isScrapingActive = true;
-            startBtn.classList.add('hidden');
-            stopBtn.classList.remove('hidden');
-            progress.classList.remove('hidden');
-            results.classList.add('hidden');
-
-            // Start a progress simulation (since we don't get real-time updates)
-            simulateProgress(count);
+          const job = response.state.jobs.find((j) => j.id === jobId);
+          if (job) {
+            chrome.runtime.sendMessage({
+              action: 'saveJob',
+              job: { ...job, enabled: !job.enabled }
+            });
           }
         }
       );
+    }
+  }
+
+  /**
+   * Show scheduled jobs and the history of their runs
+   */
+  function loadSchedule() {
+    chrome.runtime.sendMessage({ action: 'getSchedule' }, function (response) {
+      if (!response || !response.state) return;
+      const { jobs, history } = response.state;
+
+      jobList.textContent = '';
+      for (const job of jobs) {
+        const when =
+          job.schedule.type === 'daily'
+            ? `daily at ${job.schedule.time}`
+            : `every ${job.schedule.minutes} min`;
+        let next = 'paused';
+        if (job.queued) next = 'running';
+        else if (job.enabled && job.nextRunAt) {
+          next = `next ${new Date(job.nextRunAt).toLocaleString()}`;
+        }
+
+        const li = document.createElement('li');
+        const text = document.createElement('span');
+        text.textContent = `${groupSlug(job.url)} - ${when}, ${next}`;
+        li.appendChild(text);
+
+        const buttons = document.createElement('span');
+        for (const [jobAction, label] of [
+          ['run', 'Run'],
+          ['toggle', job.enabled ? 'Pause' : 'Enable'],
+          ['remove', 'Remove']
+        ]) {
+          const button = document.createElement('button');
+          button.className = jobAction === 'remove' ? 'warning' : 'secondary';
+          button.textContent = label;
+          button.dataset.jobAction = jobAction;
+          button.dataset.jobId = job.id;
+          buttons.appendChild(button);
+        }
+        li.appendChild(buttons);
+        jobList.appendChild(li);
+      }
+
+      jobHistory.textContent = '';
+      for (const run of history.slice(0, 20)) {
+        const li = document.createElement('li');
+        li.textContent = `${new Date(run.startedAt).toLocaleString()} ${groupSlug(
+          run.url
+        )} - ${run.status}${
+          run.duration !== null ? `, ${formatDuration(run.duration)}` : ''
+        }${run.posts !== null ? `, ${run.posts} posts` : ''}${
+          run.error ? `: ${run.error}` : ''
+        }`;
+        if (run.status === 'failed') li.className = 'item-failed';
+        jobHistory.appendChild(li);
+      }
+      if (!history.length) jobHistory.textContent = 'No runs yet';
     });
   }
 
+  /**
+   * Group slug or ID from its URL, to keep list lines short
+   */
+  function groupSlug(url) {
+    return url.replace(/^.*facebook\.com\/groups\//, '').replace(/\/$/, '');
+  }
+
+  /**
+   * Format milliseconds as "1h 02m", "3m 05s" or "42s"
+   */
+  function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    const pad = (n) => String(n).padStart(2, '0');
+    if (seconds >= 3600) {
+      return `${Math.floor(seconds / 3600)}h ${pad(
+        Math.floor((seconds % 3600) / 60)
+      )}m`;
+    }
+    if (seconds >= 60) {
+      return `${Math.floor(seconds / 60)}m ${pad(seconds % 60)}s`;
+    }
+    return `${seconds}s`;
+  }
+
   /**
    * Stop scraping posts
    */
@@ -171,6 +633,9 @@ document.addEventListener('DOMContentLoaded', function () {
         }
       );
     });
+
+    // A crawl keeps what its post tabs already scraped
+    chrome.runtime.sendMessage({ action: 'stopCrawl' });
   }
 
   /**
@@ -241,7 +706,12 @@ document.addEventListener('DOMContentLoaded', function () {
 
         progressBar.style.width = `${percentage}%`;
         postsScraped.textContent = current;
-      } else if (message.action === 'scrapingComplete') {
+      } else if (message.action === 'crawlProgress') {
+        showCrawlProgress(message.data);
+      } else if (
+        (message.action === 'scrapingComplete' && !message.data.harvestOnly) ||
+        message.action === 'crawlComplete'
+      ) {
         // Update UI to show scraping is complete
         isScrapingActive = false;
         startBtn.classList.remove('hidden');
@@ -273,6 +743,24 @@ document.addEventListener('DOMContentLoaded', function () {
    * Load scraping state when popup opens
    */
   function loadScrapingState() {
+    // A crawl in phase 2 runs in other tabs, ask the service worker
+    chrome.runtime.sendMessage(
+      { action: 'getCrawlState' },
+      function (response) {
+        const state = response && response.state;
+        if (state && (state.phase === 'harvest' || state.phase === 'scrape')) {
+          isScrapingActive = true;
+          startBtn.classList.add('hidden');
+          stopBtn.classList.remove('hidden');
+          progress.classList.remove('hidden');
+          results.classList.add('hidden');
+
+          simulateProgress(parseInt(postCount.value));
+          showCrawlProgress(state);
+        }
+      }
+    );
+
     chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
       if (tabs && tabs[0]) {
         chrome.tabs.sendMessage(
@@ -308,6 +796,12 @@ document.addEventListener('DOMContentLoaded', function () {
 
   // Add to your download button click handler
   downloadBtn.addEventListener('click', function () {
+    // Crawl results are merged by the service worker, not kept in the page
+    if (lastScrapedData && lastScrapedData.crawl) {
+      downloadData(lastScrapedData);
+      return;
+    }
+
     chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
       if (tabs[0]) {
         chrome.tabs.sendMessage(
@@ -16,21 +16,41 @@ chrome.runtime.onMessage.addListener(function (message, sender, sendResponse) {
     sendResponse({ success: true, status: 'started' });
 
     // Start the actual scraping
-    window.facebookScraper.startCollecting(count).then((result) => {
-      if (result) {
-        // Send results to background script when done
-        chrome.runtime.sendMessage({
-          action: 'scrapingComplete',
-          data: result
-        });
-      }
-    });
+    window.facebookScraper
+      .startCollecting(count, message.options)
+      .then((result) => {
+        if (result) {
+          // Send results to background script when done
+          chrome.runtime.sendMessage({
+            action: 'scrapingComplete',
+            data: result
+          });
+        }
+      });
 
     // Must return true for async sendResponse
+    return true;
+  } else if (message.action === 'scrapePermalink') {
+    // Phase 2 of a crawl: this tab was opened on a single post
+    window.facebookScraper
+      .scrapePermalinkPage(message.options)
+      .then((post) =>
+        sendResponse({
+          success: !!post,
+          post,
+          kept: !!post && window.facebookScraper.matchesFilters(post)
+        })
+      )
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+
     return true;
   } else if (message.action === 'stopScraping') {
     window.facebookScraper.stopCollecting();
     sendResponse({ success: true, status: 'stopped' });
+  } else if (message.action === 'finishScraping') {
+    // Out of time: send the posts collected so far as the result
+    window.facebookScraper.finishCollection(false);
+    sendResponse({ success: true, status: 'finishing' });
   } else if (message.action === 'getScrapingState') {
     if (window.facebookScraper) {
       sendResponse({
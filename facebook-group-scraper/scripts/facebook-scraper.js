@@ -4,8 +4,10 @@
 class FacebookScraper {
   constructor() {
     this.scrapedPosts = [];
-    this.processedIds = new Set(); // More efficient than array for lookups
+    this.postIdentities = new window.PostIdentityResolver(); // Every ID each post was seen under
+    this.seenPostIds = new Set(); // Canonical IDs met during this run
     this.isCollecting = false;
+    this.isFinishing = false; // finishCollection is waiting to send the result
     this.isPaused = false;
     this.isLoading = false;
     this.groupInfo = null;
@@ -15,6 +17,218 @@ class FacebookScraper {
     this.sentinelElement = null;
     this.debugMode = true; // Enable for console logs
     this.cleanupInterval = null;
+    this.options = {
+      maxReplyDepth: 2, // Levels of "View replies" to expand, 0 disables
+      commentMode: 'visible', // 'visible' or 'all' (exhaustive pagination)
+      maxCommentsPerPost: 500, // Cap on top-level comments, 0 for no limit
+      openPhotoViewer: false, // Open each photo to read its full-size URL
+      richTextFormat: null, // 'html' or 'markdown' to add a rendered message
+      expandTranslations: false, // Click "See translation" to capture translations
+      excludeSponsored: false, // Don't count sponsored and suggested posts
+      harvestOnly: false, // Crawl phase 1: only permalinks and light metadata
+      sinceDate: null, // 'YYYY-MM-DD': skip older posts, stop once past it
+      untilDate: null, // 'YYYY-MM-DD': skip newer posts
+      stopAfterOlderPosts: 5, // Consecutive posts before sinceDate that end the run
+      filters: null // Keyword, author, engagement, media and language filters
+    };
+    this.compiledFilters = null;
+    this.postStats = this.createPostStats();
+    this.olderPostStreak = 0;
+    this.feedIsNewestFirst = false; // Only then can sinceDate end the run
+    this.stoppedByDate = false;
+
+    // Khối chứa nội dung bài viết do chính tác giả viết
+    this.messageSelector =
+      '[data-ad-comet-preview="message"], [data-ad-preview="message"], [data-ad-rendering-role="story_message"]';
+
+    // Nhãn giao diện cần bỏ khỏi nội dung (EN/VI)
+    const boilerplateLabels = [
+      'like',
+      'comment',
+      'share',
+      'reply',
+      'send',
+      'follow',
+      'join group',
+      'join',
+      'see more',
+      'see less',
+      'see translation',
+      'see original',
+      'hide translation',
+      'rate this translation',
+      'write a public comment…',
+      'write a comment…',
+      'most relevant',
+      'newest',
+      'all comments',
+      'view more comments',
+      'top contributor',
+      'admin',
+      'moderator',
+      'author',
+      'edited',
+      'sponsored',
+      'all reactions:',
+      'thích',
+      'bình luận',
+      'chia sẻ',
+      'phản hồi',
+      'trả lời',
+      'gửi',
+      'theo dõi',
+      'tham gia nhóm',
+      'tham gia',
+      'xem thêm bình luận',
+      'xem thêm',
+      'ẩn bớt',
+      'thu gọn',
+      'xem bản dịch',
+      'xem bản gốc',
+      'ẩn bản dịch',
+      'đánh giá bản dịch này',
+      'viết bình luận công khai…',
+      'viết bình luận…',
+      'phù hợp nhất',
+      'mới nhất',
+      'tất cả bình luận',
+      'người đóng góp nhiều nhất',
+      'quản trị viên',
+      'người kiểm duyệt',
+      'tác giả',
+      'đã chỉnh sửa',
+      'được tài trợ',
+      'tất cả cảm xúc:'
+    ];
+    this.boilerplatePattern = new RegExp(
+      `(?<=^|[\\s·•|])(?:${boilerplateLabels.join('|')})(?=$|[\\s·•|])`,
+      'giu'
+    );
+    this.counterPattern =
+      /^\d[\d.,]*\s*[KkMN]?\s*(?:comments?|shares?|reactions?|replies|views|bình luận|lượt chia sẻ|chia sẻ|cảm xúc|phản hồi|lượt xem)?$/i;
+
+    // Nút và nhãn của bản dịch (EN/VI)
+    this.translationPatterns = {
+      seeTranslation: /^(?:see translation|xem bản dịch)$/i,
+      seeOriginal:
+        /^(?:see original|hide translation|xem bản gốc|ẩn bản dịch)$/i,
+      translatedFrom:
+        /^(?:auto-)?translated from (.+)$|^đã (?:tự động )?dịch từ (.+)$/i,
+      rate: /^(?:rate this translation|đánh giá bản dịch này)$/i
+    };
+
+    // Huy hiệu thành viên trong nhóm và tác giả ẩn danh (EN/VI)
+    this.authorPatterns = {
+      badges: {
+        admin: /^(?:admin|quản trị viên)$/i,
+        moderator: /^(?:moderator|người kiểm duyệt)$/i,
+        top_contributor:
+          /^(?:top contributor|người đóng góp nhiều nhất|người đóng góp hàng đầu)$/i,
+        rising_contributor:
+          /^(?:rising contributor|ngôi sao mới nổi|người đóng góp đang lên)$/i,
+        new_member: /^(?:new member|thành viên mới)$/i,
+        group_expert: /^(?:group expert|chuyên gia (?:của )?nhóm)$/i,
+        founding_member: /^(?:founding member|thành viên sáng lập)$/i,
+        conversation_starter:
+          /^(?:conversation starter|người khơi mào cuộc trò chuyện)$/i,
+        author: /^(?:author|tác giả)$/i
+      },
+      anonymous:
+        /^(?:anonymous (?:participant|member)|người tham gia ẩn danh|thành viên ẩn danh)$/i,
+      reservedPaths:
+        /^(?:groups|profile\.php|people|hashtag|photo|photo\.php|watch|events|pages|permalink\.php|story\.php|reel|marketplace)$/i
+    };
+
+    // Nhãn trạng thái của bài viết (EN/VI)
+    this.flagPatterns = {
+      isPinned:
+        /^(?:pinned(?: post)?|featured|unpin(?: post)?|đã ghim|bài viết đã ghim|đáng chú ý|bỏ ghim(?: bài viết)?)$/i,
+      // "Thông báo" alone also means "notification", see hasAnnouncementBadge
+      isAnnouncement:
+        /^(?:announcement|admin announcement|remove announcement|thông báo của quản trị viên|gỡ thông báo)$/i,
+      isEdited: /(?:^|[·•]\s*)(?:edited|đã chỉnh sửa)$/i,
+      isSponsored: /^(?:sponsored|được tài trợ)$/i,
+      isSuggested:
+        /^(?:suggested for you|suggested post|suggested|gợi ý cho bạn|bài viết gợi ý|được đề xuất)$/i,
+      isPendingApproval:
+        /^(?:pending(?: approval)?|awaiting approval|đang chờ(?: phê duyệt| duyệt)?|chờ phê duyệt)$/i,
+      hasContentWarning:
+        /(?:sensitive content|graphic content|false information|partly false|missing context|nội dung nhạy cảm|nội dung phản cảm|thông tin sai lệch|thiếu ngữ cảnh)/i,
+      commentsDisabled:
+        /(?:turned off commenting|commenting (?:has been|is) turned off|comments (?:are|have been) turned off|đã tắt (?:tính năng )?bình luận|bình luận đã bị tắt)/i
+    };
+
+    // Bình chọn và sự kiện (EN/VI)
+    this.pollPatterns = {
+      votes: /^\d[\d.,]*\s*[KkMN]?\s*(?:votes?|lượt bình chọn|phiếu)$/i,
+      addOption:
+        /^(?:add an option|add option|thêm lựa chọn|thêm tùy chọn)\.*$/i
+    };
+    // Nút sắp xếp feed của nhóm (EN/VI)
+    this.feedSortPatterns = {
+      current:
+        /^(?:most relevant|new activity|new posts|top posts|phù hợp nhất|hoạt động mới|bài viết mới|bài viết hàng đầu)$/i,
+      button: /sort group feed|sắp xếp bảng feed|sắp xếp/i,
+      newPosts: /^(?:new posts|bài viết mới)$/i
+    };
+
+    // Header và mục Giới thiệu của nhóm (EN/VI)
+    this.groupPatterns = {
+      members:
+        /([\d.,]+\s*(?:nghìn|ngàn|triệu|tỷ|tr|k|n|m|b)?)\s*(?:members?|thành viên)(?!\p{L})/iu,
+      membersHeading:
+        /^(?:members|thành viên)\s*·\s*([\d.,]+\s*(?:nghìn|ngàn|triệu|tr|k|n|m)?)$/iu,
+      privacy:
+        /^(?:(?:public|private)(?: group)?|nhóm (?:công khai|riêng tư)|công khai|riêng tư)(?=\s*·|$)/i,
+      visibility: /^(visible|hidden|hiển thị|đã ẩn|ẩn)$/i,
+      privacyNote:
+        /^(?:only members can|anyone can|chỉ thành viên|bất kỳ ai|ai cũng|mọi người đều)/i,
+      created:
+        /(?:group created on|created on|đã tạo nhóm vào|nhóm được tạo vào|ngày tạo nhóm:?)\s+(?:ngày\s+)?(.+?)(?:\.(?:\s|$)|$)/i,
+      location: /^(?:located in|location:|vị trí:|địa điểm:)\s*(.+)$/i,
+      adminSentence:
+        /(?:are admins|is an admin|là quản trị viên|(are moderators|is a moderator|là người kiểm duyệt))/i,
+      headings: {
+        about: /^(?:about(?: this group)?|giới thiệu(?: về nhóm này)?)$/i,
+        rules:
+          /^(?:(?:group )?rules(?: from the admins)?|(?:quy tắc|nội quy)(?: nhóm)?(?: từ quản trị viên)?)$/i,
+        admins:
+          /^(?:admins (?:&|and) moderators|admins|moderators|quản trị viên(?: và người kiểm duyệt)?|người kiểm duyệt)$/i,
+        others:
+          /^(?:members|activity|recent media|group history|thành viên|hoạt động|file phương tiện gần đây|lịch sử nhóm)$/i
+      }
+    };
+
+    this.eventPatterns = {
+      going:
+        /(\d[\d.,]*\s*[KkMN]?)\s*(?:going|people going|người sẽ tham gia|sẽ tham gia)/i,
+      interested:
+        /(\d[\d.,]*\s*[KkMN]?)\s*(?:interested|people interested|người quan tâm|quan tâm)/i,
+      button:
+        /^(?:interested|going|not going|share|invite|quan tâm|sẽ tham gia|chia sẻ|mời|·)$/i,
+      happeningNow: /^(?:happening now|đang diễn ra)$/i,
+      dateLike:
+        /\b(?:mon|tue|wed|thu|fri|sat|sun|jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b.*\d|tháng\s*\d|thứ\s*\d|chủ nhật/i
+    };
+
+    // Nhận diện bài đăng bán hàng (EN/VI)
+    this.listingPatterns = {
+      marker:
+        /^(?:send seller a message|message seller|mark as sold|mark as available|is this still available\??|nhắn tin cho người bán|đánh dấu là đã bán|đánh dấu là còn hàng|mặt hàng này còn chứ\??)$/,
+      label:
+        /^(condition|tình trạng|location|vị trí|khu vực|địa điểm)\s*(?::\s*(.+))?$/i,
+      listedIn: /^(?:listed .*? in|đã niêm yết .*? tại|in|tại)\s+/i,
+      sell: /(?:^|[^\p{L}])(?:cần bán|bán|pass|thanh lý|wts|for sale|selling|sell)(?!\p{L})/iu,
+      buy: /(?:^|[^\p{L}])(?:cần mua|tìm mua|muốn mua|cần tìm|thu mua|wtb|want to buy|looking to buy|looking for)(?!\p{L})/iu,
+      sellPrefix:
+        /^\s*(?:cần bán|bán|pass lại|pass|thanh lý|wts|for sale|selling)\s*[:\-–]?\s*/iu,
+      priceLabel:
+        /(?:giá|price)(?:\s*(?:bán|chỉ|còn))?\s*[:\-–]?\s*([^\n]{1,40})/iu,
+      locationText:
+        /(?:khu vực|địa chỉ|địa điểm|vị trí|location|pickup in|giao dịch tại|xem hàng tại)\s*[:\-–]?\s*([^\n,.;]{2,60})/iu,
+      conditionText:
+        /(?:like new|brand new|used|như mới|(?:còn\s*)?mới\s*\d{2,3}\s*%|mới tinh|đã qua sử dụng|còn mới|hàng cũ)/iu
+    };
   }
 
   /**
@@ -52,45 +266,32 @@ class FacebookScraper {
         ? nameElement.textContent.trim()
         : 'Unknown Group';
 
-      // Get group ID from URL
+      // Get group ID from URL, may be a vanity name
       const urlMatch = window.location.href.match(
-        /facebook\.com\/groups\/([^/]+)/
+        /facebook\.com\/groups\/([^/?#]+)/
       );
-      const groupId = urlMatch ? urlMatch[1] : 'unknown';
-
-      // Try multiple selectors for member count
-      const memberCountSelectors = [
-        'a[href*="members"] span',
-        'div[data-pagelet="GroupInlineHeader"] span:contains("member")',
-        'div[data-pagelet="GroupInlineHeader"] div:contains("member")'
-      ];
-
-      let memberCountEl = null;
-      for (const selector of memberCountSelectors) {
-        try {
-          memberCountEl = document.querySelector(selector);
-          if (memberCountEl) break;
-        } catch (e) {
-          // Some complex selectors may fail
-          continue;
-        }
-      }
+      const slug = urlMatch ? urlMatch[1] : null;
+      const numericId = slug ? this.resolveGroupId(slug) : null;
+      const groupId = numericId || slug || 'unknown';
 
-      const membersCount = memberCountEl
-        ? memberCountEl.textContent.trim()
-        : 'Unknown';
+      // Thông tin ở header nhóm, hoặc mục Giới thiệu khi đang ở trang /about
+      const profile = this.readGroupProfile(
+        document.querySelector('[role="main"]') || document
+      );
 
       this.log('Extracted group info', {
         name: groupName,
         id: groupId,
-        members: membersCount
+        members: profile.membersCount
       });
 
       this.groupInfo = {
         name: groupName,
         id: groupId,
+        numericId,
+        vanity: slug && !/^\d+$/.test(slug) ? slug : null,
         url: window.location.href,
-        membersCount: membersCount,
+        ...profile,
         scrapedAt: new Date().toISOString()
       };
 
@@ -101,6 +302,358 @@ class FacebookScraper {
     }
   }
 
+  /**
+   * Read group metadata from the header and About section
+   * @param {Document|HTMLElement} root - Current page or the fetched About page
+   * @returns {Object} { membersCount, membersText, privacy, visibility, createdAt, createdText, location, description, rules, admins }
+   */
+  readGroupProfile(root) {
+    const patterns = this.groupPatterns;
+    const profile = {
+      membersCount: null,
+      membersText: null,
+      privacy: null,
+      visibility: null,
+      createdAt: null,
+      createdText: null,
+      location: null,
+      description: null,
+      rules: [],
+      admins: []
+    };
+
+    // Bài viết trong feed không phải thông tin nhóm
+    const leaves = Array.from(
+      root.querySelectorAll('span, div, h1, h2, h3, h4')
+    )
+      .filter(
+        (el) =>
+          !el.querySelector('span, div, h1, h2, h3, h4') &&
+          !el.closest('[role="feed"], [role="article"]')
+      )
+      .map((el) => ({ el, text: el.textContent.replace(/\s+/g, ' ').trim() }))
+      .filter((leaf) => leaf.text);
+
+    leaves.forEach(({ el, text }, index) => {
+      if (!profile.membersText) {
+        const match =
+          text.match(patterns.membersHeading) ||
+          (text.length < 80 && text.match(patterns.members));
+        if (match) {
+          profile.membersText = text;
+          profile.membersCount = this.parseAbbreviatedNumber(match[1]);
+        }
+      }
+
+      const privacy = !profile.privacy && text.match(patterns.privacy);
+      if (privacy) {
+        profile.privacy = /public|công khai/i.test(privacy[0])
+          ? 'public'
+          : 'private';
+      }
+
+      const visibility = !profile.visibility && text.match(patterns.visibility);
+      if (visibility) {
+        profile.visibility = /visible|hiển thị/i.test(visibility[1])
+          ? 'visible'
+          : 'hidden';
+      }
+
+      const created = !profile.createdText && text.match(patterns.created);
+      if (created) {
+        const parsed = window.timestampParser.parse(created[1]);
+        profile.createdText = created[1];
+        profile.createdAt = parsed ? parsed.timestamp : null;
+      }
+
+      const location = !profile.location && text.match(patterns.location);
+      if (location) profile.location = location[1];
+
+      if (!profile.description && patterns.headings.about.test(text)) {
+        profile.description = this.readGroupDescription(leaves, index);
+      }
+
+      if (profile.rules.length === 0 && patterns.headings.rules.test(text)) {
+        profile.rules = this.readGroupRules(leaves, index);
+      }
+    });
+
+    profile.admins = this.readGroupAdmins(root);
+    return profile;
+  }
+
+  /**
+   * Whether a leaf text is the title of an About section
+   */
+  isGroupSectionHeading(text) {
+    return Object.values(this.groupPatterns.headings).some((pattern) =>
+      pattern.test(text)
+    );
+  }
+
+  /**
+   * Description under the "About this group" heading, line breaks kept
+   * @param {Array<Object>} leaves - Leaf { el, text } of the page in order
+   * @param {number} index - Position of the heading
+   * @returns {string|null}
+   */
+  readGroupDescription(leaves, index) {
+    const patterns = this.groupPatterns;
+
+    for (const { el, text } of leaves.slice(index + 1, index + 20)) {
+      // Mô tả đứng trước các mục quyền riêng tư/hiển thị
+      if (
+        this.isGroupSectionHeading(text) ||
+        patterns.privacy.test(text) ||
+        patterns.visibility.test(text) ||
+        patterns.privacyNote.test(text)
+      ) {
+        break;
+      }
+      if (text.length < 10 || /^(?:see more|xem thêm)$/i.test(text)) continue;
+
+      const clone = el.cloneNode(true);
+      clone.querySelectorAll('br').forEach((br) => br.replaceWith('\n'));
+      return clone.textContent
+        .split('\n')
+        .map((line) => line.replace(/\s+/g, ' ').trim())
+        .join('\n')
+        .trim();
+    }
+
+    return null;
+  }
+
+  /**
+   * Numbered rules under the "Group rules from the admins" heading
+   * @param {Array<Object>} leaves - Leaf { el, text } of the page in order
+   * @param {number} index - Position of the heading
+   * @returns {Array<Object>} [{ title, description }]
+   */
+  readGroupRules(leaves, index) {
+    const rules = [];
+
+    for (const { text } of leaves.slice(index + 1)) {
+      if (this.isGroupSectionHeading(text) || rules.length > 50) break;
+      if (/^(?:see more|see all|xem thêm|xem tất cả)$/i.test(text)) continue;
+
+      // Số thứ tự nằm riêng ("1") hoặc dính vào tiêu đề ("1. Không spam")
+      const numbered = text.match(/^(\d{1,2})(?:[.)]?\s+(.+))?$/);
+      if (numbered) {
+        rules.push({ title: numbered[2] || null, description: null });
+        continue;
+      }
+
+      const rule = rules[rules.length - 1];
+      if (!rule) break;
+      if (!rule.title) {
+        rule.title = text;
+      } else {
+        rule.description = rule.description
+          ? `${rule.description}\n${text}`
+          : text;
+      }
+    }
+
+    return rules.filter((rule) => rule.title);
+  }
+
+  /**
+   * Admins and moderators from their list or the About summary sentence
+   * @param {Document|HTMLElement} root - Page to read
+   * @returns {Array<Object>} [{ name, id, username, profileUrl, role }]
+   */
+  readGroupAdmins(root) {
+    const patterns = this.groupPatterns;
+    const admins = [];
+
+    const addLinks = (container, role) => {
+      for (const link of container.querySelectorAll('a[href]')) {
+        const name = link.textContent.replace(/\s+/g, ' ').trim();
+        const profileUrl = this.normalizeExternalUrl(link.href);
+        const { id, username } = this.parseMemberId(profileUrl);
+        if (!name || (!id && !username)) continue;
+        if (admins.some((admin) => admin.profileUrl === profileUrl)) continue;
+
+        admins.push({ name, id, username, profileUrl, role });
+      }
+    };
+
+    for (const el of root.querySelectorAll('span, div, h2, h3, h4')) {
+      if (el.closest('[role="feed"], [role="article"]')) continue;
+      const text = el.textContent.replace(/\s+/g, ' ').trim();
+
+      // "An and Bình are admins." - only the innermost element of the sentence
+      const sentence = text.length < 300 && text.match(patterns.adminSentence);
+      if (sentence) {
+        const inner = Array.from(el.querySelectorAll('span, div')).some(
+          (child) => patterns.adminSentence.test(child.textContent)
+        );
+        if (!inner) addLinks(el, sentence[1] ? 'moderator' : 'admin');
+        continue;
+      }
+
+      if (el.querySelector('span, div, h2, h3, h4')) continue;
+      if (!patterns.headings.admins.test(text)) continue;
+
+      // Lên tới khối đầu tiên chứa danh sách thành viên
+      let section = el.parentElement;
+      for (let depth = 0; section && depth < 6; depth++) {
+        if (section.querySelector('a[href*="/user/"], a[href*="profile.php"]'))
+          break;
+        section = section.parentElement;
+      }
+      if (section) {
+        addLinks(
+          section,
+          /moderator|kiểm duyệt/i.test(text) && !/admin|quản trị/i.test(text)
+            ? 'moderator'
+            : 'admin'
+        );
+      }
+    }
+
+    return admins;
+  }
+
+  /**
+   * Fill in group fields the page doesn't show by loading the About page
+   * in the background
+   * @returns {Promise<Object|null>} The updated group info
+   */
+  async completeGroupProfile() {
+    const info = this.groupInfo;
+    if (!info || info.id === 'unknown') return info;
+
+    const isEmpty = (value) =>
+      value === null || (Array.isArray(value) && value.length === 0);
+    const fields = ['membersCount', 'privacy', 'description', 'createdAt'];
+    if (!fields.some((field) => isEmpty(info[field]))) return info;
+
+    try {
+      const response = await fetch(
+        `https://www.facebook.com/groups/${info.id}/about`,
+        { credentials: 'include' }
+      );
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const doc = new DOMParser().parseFromString(
+        await response.text(),
+        'text/html'
+      );
+      const about = this.readGroupProfile(doc);
+
+      // HTML tải về thường chưa render, thẻ meta vẫn có mô tả và số thành viên
+      const meta = doc.querySelector(
+        'meta[property="og:description"], meta[name="description"]'
+      );
+      const summary = meta ? (meta.getAttribute('content') || '').trim() : '';
+      const members = summary.match(this.groupPatterns.members);
+      if (members && about.membersCount === null) {
+        about.membersText = members[0];
+        about.membersCount = this.parseAbbreviatedNumber(members[1]);
+      }
+      if (summary && !about.description) {
+        // Bỏ câu giới thiệu số thành viên mà Facebook thêm vào đầu
+        about.description =
+          summary
+            .split(/(?<=\.)\s+/)
+            .filter((sentence) => !this.groupPatterns.members.test(sentence))
+            .join(' ') || null;
+      }
+
+      for (const [field, value] of Object.entries(about)) {
+        if (isEmpty(info[field]) && !isEmpty(value)) info[field] = value;
+      }
+      this.log('Loaded group about page', about);
+    } catch (error) {
+      console.error('Error loading group about page:', error);
+    }
+
+    return info;
+  }
+
+  /**
+   * Numeric ID of the current group, from the URL, page data or links
+   * @param {string} slug - Group path segment from the URL
+   * @returns {string|null} Numeric group ID, null when it can't be resolved
+   */
+  resolveGroupId(slug) {
+    if (/^\d+$/.test(slug)) return slug;
+
+    // App links in <meta> carry the numeric ID: fb://group/123
+    for (const meta of document.querySelectorAll(
+      'meta[property^="al:"], meta[name^="al:"]'
+    )) {
+      const match = (meta.getAttribute('content') || '').match(
+        /fb:\/\/group\/(?:\?id=)?(\d+)/
+      );
+      if (match) return match[1];
+    }
+
+    const counts = {};
+    const add = (id, weight) => {
+      counts[id] = (counts[id] || 0) + weight;
+    };
+
+    // Dữ liệu trang nhúng trong các thẻ script JSON
+    for (const script of document.querySelectorAll(
+      'script[type="application/json"]'
+    )) {
+      for (const match of script.textContent.matchAll(
+        /"(?:groupID|group_id)":"?(\d+)/g
+      )) {
+        add(match[1], 2);
+      }
+    }
+
+    // Link tác giả/bài viết trong nhóm dùng ID số, kể cả khi URL dùng tên nhóm
+    const main = document.querySelector('[role="main"]') || document;
+    for (const link of main.querySelectorAll('a[href*="/groups/"]')) {
+      const match = link.href.match(
+        /\/groups\/(\d+)\/(?:user|posts|permalink|members|about)\//
+      );
+      if (match) add(match[1], 1);
+    }
+
+    const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return ranked.length ? ranked[0][0] : null;
+  }
+
+  /**
+   * Numeric ID of the group a post belongs to
+   * @param {HTMLElement} postElement - The post DOM element
+   * @returns {string|null}
+   */
+  getPostGroupId(postElement) {
+    const info = this.groupInfo || this.extractGroupInfo();
+
+    // Bài từ nhóm khác (vd. trong modal) mang ID nhóm trong permalink riêng
+    for (const link of postElement.querySelectorAll('a[href*="/groups/"]')) {
+      if (this.isInsideComment(link, postElement)) continue;
+
+      const match = link.href.match(
+        /\/groups\/([^/?#]+)\/(?:posts|permalink)\//
+      );
+      if (!match) continue;
+      if (/^\d+$/.test(match[1])) return match[1];
+      if (info && match[1] === info.vanity) return info.numericId;
+    }
+
+    return info ? info.numericId : null;
+  }
+
+  /**
+   * Canonical URL of a post, stable across vanity renames and link variants
+   * @returns {string|null} null unless both IDs are numeric Facebook IDs
+   */
+  buildPermalink(groupId, postId) {
+    if (!/^\d+$/.test(groupId || '') || !/^\d+$/.test(postId || '')) {
+      return null;
+    }
+    return `https://www.facebook.com/groups/${groupId}/posts/${postId}/`;
+  }
+
   /**
    * Setup Intersection Observer for smoother scrolling
    */
@@ -248,85 +801,203 @@ class FacebookScraper {
    */
   extractPostId(postElement) {
     try {
-      // Method 1: From Facebook's own post ID in the data attributes
-      let postId = null;
+      const aliases = this.collectPostAliases(postElement);
+      if (aliases.length > 0) return this.postIdentities.best(aliases);
+    } catch (error) {
+      console.error('Error extracting post ID:', error);
+    }
 
-      // Try data-ft attribute first (most reliable)
-      const dataFt = postElement.getAttribute('data-ft');
-      if (dataFt) {
-        try {
-          const parsed = JSON.parse(dataFt);
-          if (parsed.top_level_post_id) {
-            return parsed.top_level_post_id;
-          } else if (parsed.content_owner_id_new) {
-            return parsed.content_owner_id_new;
-          }
-        } catch (e) {
-          // Continue to other methods
-        }
+    return `generated_${Date.now()}_${Math.random()
+      .toString(36)
+      .substring(2, 10)}`;
+  }
+
+  /**
+   * Every ID a post element can be recognised by
+   * @param {HTMLElement} postElement - The post DOM element
+   * @param {HTMLElement|null} sharedElement - Embedded original of a reshare,
+   * whose links are not the post's own; looked up when not given
+   * @returns {Array<string>} Numeric IDs, pfbid and content fingerprint
+   */
+  collectPostAliases(
+    postElement,
+    sharedElement = this.findSharedPostElement(postElement)
+  ) {
+    const aliases = [];
+
+    // Method 1: From Facebook's own post ID in the data attributes
+    // (content_owner_id_new is the author's ID, not the post's)
+    const dataFt = postElement.getAttribute('data-ft');
+    if (dataFt) {
+      try {
+        aliases.push(JSON.parse(dataFt).top_level_post_id);
+      } catch (e) {
+        // Continue to other methods
       }
+    }
 
-      // Method 2: From post permalinks
-      const permalinkSelectors = [
-        'a[href*="/permalink/"]',
-        'a[href*="/posts/"]',
-        'a[href*="story_fbid="]'
-      ];
+    // Method 2: From post permalinks, leaving out the reshared original's
+    // and the comments' links
+    const permalinkSelectors = [
+      'a[href*="/permalink/"]',
+      'a[href*="/posts/"]',
+      'a[href*="story_fbid="]'
+    ];
 
-      for (const selector of permalinkSelectors) {
-        const link = postElement.querySelector(selector);
-        if (link && link.href) {
-          // Try /permalink/ID/ pattern
-          let match = link.href.match(/\/permalink\/(\d+)/);
-          if (match && match[1]) return match[1];
+    for (const selector of permalinkSelectors) {
+      const link = Array.from(postElement.querySelectorAll(selector)).find(
+        (el) =>
+          el.href &&
+          !(sharedElement && sharedElement.contains(el)) &&
+          !this.isInsideComment(el, postElement)
+      );
+      if (!link) continue;
 
-          // Try /posts/ID/ pattern
-          match = link.href.match(/\/posts\/(\d+)/);
-          if (match && match[1]) return match[1];
+      const match = link.href.match(
+        /\/(?:permalink|posts)\/(\d+|pfbid\w+)|story_fbid=(\d+|pfbid\w+)/
+      );
+      if (match) aliases.push(match[1] || match[2]);
+    }
 
-          // Try story_fbid=ID pattern
-          match = link.href.match(/story_fbid=(\d+)/);
-          if (match && match[1]) return match[1];
-        }
-      }
+    // Method 3: Content-based fingerprint, the same before and after the
+    // permalink renders. Always taken from the DOM so every pass, and every
+    // run, fingerprints the same text
+    const author = postElement.querySelector(
+      'h2 a, h3 a, h4 a, [data-ad-rendering-role="profile_name"] a'
+    );
+    const message = postElement.querySelector(this.messageSelector);
+    aliases.push(
+      this.createContentFingerprint(
+        author ? author.textContent : '',
+        (message || postElement).textContent
+      )
+    );
 
-      // Method 3: Content-based fingerprint as last resort
-      // Create a "fingerprint" based on content to identify duplicates
-      const contentFingerprint = this.createContentFingerprint(postElement);
-      if (contentFingerprint) {
-        return `content_${contentFingerprint}`;
-      }
+    return [...new Set(aliases.filter(Boolean).map(String))];
+  }
 
-      return `generated_${Date.now()}_${Math.random()
-        .toString(36)
-        .substring(2, 10)}`;
-    } catch (error) {
-      console.error('Error extracting post ID:', error);
-      return `generated_${Date.now()}_${Math.random()
-        .toString(36)
-        .substring(2, 10)}`;
+  /**
+   * Register a post element with the identity resolver
+   * @param {HTMLElement} postElement - The post DOM element
+   * @returns {Object} { id, isNew } - id is the best ID known for the post,
+   *   isNew is false when it was already met during this run
+   */
+  identifyPost(postElement) {
+    const aliases = this.collectPostAliases(postElement);
+    if (aliases.length === 0) {
+      return { id: this.extractPostId(postElement), isNew: true };
+    }
+
+    // Aliases from earlier runs are known too, so "new" is tracked per run
+    const { id, replacedIds } = this.postIdentities.register(aliases);
+    const isNew =
+      !this.seenPostIds.has(id) &&
+      !replacedIds.some((old) => this.seenPostIds.has(old));
+    this.seenPostIds.add(id);
+
+    if (replacedIds.length > 0) {
+      this.log(`Nâng cấp ID bài viết: ${replacedIds.join(', ')} -> ${id}`);
+      this.upgradePostIds();
     }
+
+    return { id, isNew };
   }
 
   /**
-   * Create a content fingerprint for duplicate detection
+   * Load the aliases saved by earlier runs, so a post keeps its ID across runs
    */
-  createContentFingerprint(postElement) {
+  async loadPostIdentities() {
     try {
-      // Get text content of the post, limited to first 100 chars for efficiency
-      const text = postElement.textContent.slice(0, 100).trim();
+      const { postIdentities } =
+        await chrome.storage.local.get('postIdentities');
+      this.postIdentities.load(postIdentities);
+    } catch (e) {
+      this.log('Error loading post identities:', e.message);
+    }
+  }
 
-      // Get author name if possible
-      let authorName = '';
-      const authorEl = postElement.querySelector(
-        'h3 a, h4 a, a[role="link"][tabindex="0"]'
-      );
-      if (authorEl) {
-        authorName = authorEl.textContent.trim();
-      }
+  /**
+   * Save the aliases of this run, merged with what other tabs saved meanwhile
+   */
+  async savePostIdentities() {
+    try {
+      const { postIdentities } =
+        await chrome.storage.local.get('postIdentities');
+      this.postIdentities.load(postIdentities);
+      await chrome.storage.local.set({
+        postIdentities: this.postIdentities.toJSON(5000)
+      });
+    } catch (e) {
+      this.log('Error saving post identities:', e.message);
+    }
+  }
+
+  /**
+   * Rename stored posts whose ID has been superseded by a better alias
+   */
+  upgradePostIds() {
+    for (const post of this.scrapedPosts) {
+      const id = this.postIdentities.resolve(post.postId);
+      post.aliases = this.postIdentities.getAliases(id);
+      if (id === post.postId) continue;
+
+      post.postId = id;
+      post.permalink = this.buildPermalink(post.groupId, id) || post.permalink;
+    }
+  }
+
+  /**
+   * Fold a second extraction of the same post into the stored record,
+   * filling fields the first pass missed
+   */
+  mergePostRecords(target, source) {
+    const isEmpty = (value) =>
+      value === null ||
+      value === undefined ||
+      value === '' ||
+      value === '[No content extracted]' ||
+      (Array.isArray(value) && value.length === 0);
+
+    for (const [key, value] of Object.entries(source)) {
+      if (isEmpty(target[key]) && !isEmpty(value)) target[key] = value;
+    }
+
+    // Lần đọc sau thường đầy đủ hơn (đã mở "Xem thêm", tải thêm bình luận)
+    if ((source.content || '').length > (target.content || '').length) {
+      target.content = source.content;
+    }
+    if ((source.comments || []).length > (target.comments || []).length) {
+      target.comments = source.comments;
+      target.commentsComplete = source.commentsComplete;
+      target.commentsTruncated = source.commentsTruncated;
+    }
+
+    target.postId = this.postIdentities.resolve(target.postId);
+    target.permalink =
+      this.buildPermalink(target.groupId, target.postId) || target.permalink;
+    target.aliases = [
+      ...new Set([
+        ...this.postIdentities.getAliases(target.postId),
+        ...(target.aliases || []),
+        ...(source.aliases || [])
+      ])
+    ];
+  }
+
+  /**
+   * Create a content fingerprint for duplicate detection
+   * @param {string} authorName - Name of the post author
+   * @param {string} text - Message text, truncated or expanded
+   * @returns {string|null} content_<hash>, null when there is no text
+   */
+  createContentFingerprint(authorName, text) {
+    try {
+      // Chỉ lấy đoạn đầu: "Xem thêm" không làm thay đổi phần này
+      const normalized = (text || '').replace(/\s+/g, ' ').trim().slice(0, 80);
+      if (!normalized) return null;
 
       // Create a composite string to hash
-      const compositeString = `${authorName}_${text}`;
+      const compositeString = `${(authorName || '').trim()}_${normalized}`;
 
       // Use a simple hash function
       let hash = 0;
@@ -336,7 +1007,7 @@ class FacebookScraper {
         hash = hash & hash; // Convert to 32bit integer
       }
 
-      return Math.abs(hash).toString(16);
+      return `content_${Math.abs(hash).toString(16)}`;
     } catch (e) {
       return null;
     }
@@ -355,41 +1026,208 @@ class FacebookScraper {
     return hash;
   }
 
+  /**
+   * Light record of a post for the harvest phase of a crawl: enough to
+   * open its permalink later and to apply the filters, nothing that needs
+   * clicking
+   * @param {HTMLElement} postElement - The post DOM element
+   * @returns {Object} { postId, permalink, groupId, aliases, author, timestamp..., flags..., content, contentTruncated, media, counts... }
+   */
+  extractPostStub(postElement) {
+    const { id: postId } = this.identifyPost(postElement);
+    const groupId = this.getPostGroupId(postElement);
+    const link = postElement.querySelector(
+      'a[href*="/posts/"], a[href*="/permalink/"], a[href*="story_fbid="]'
+    );
+
+    // Những gì đọc được không cần click, đủ để lọc ngay ở bước 1
+    const richText = this.extractRichText(postElement);
+    const text = richText ? richText.text : '';
+    const reactions = this.extractReactions(postElement);
+    const { photos, videos } = this.extractMedia(postElement);
+
+    return {
+      postId,
+      permalink:
+        this.buildPermalink(groupId, postId) ||
+        (link ? this.normalizeExternalUrl(link.href) : null),
+      groupId,
+      aliases: this.postIdentities.getAliases(postId),
+      author: this.extractAuthor(postElement),
+      ...this.extractTimestamp(postElement),
+      ...this.extractPostFlags(postElement),
+      content: text,
+      contentTruncated: !richText || this.hasSeeMoreButton(postElement),
+      ...this.detectLanguage(text),
+      photos,
+      videos,
+      attachments: this.extractAttachments(postElement),
+      links: this.extractMessageLinks(postElement, text),
+      likes: reactions.total,
+      reactions,
+      ...this.extractEngagementCounts(postElement, reactions),
+      deepScraped: false
+    };
+  }
+
+  /**
+   * Whether the post's message is cut short behind "See more" / "Xem thêm"
+   * @param {HTMLElement} postElement - The post DOM element
+   * @returns {boolean}
+   */
+  hasSeeMoreButton(postElement) {
+    const message = this.findMessageContainer(postElement);
+    if (!message) return false;
+
+    return Array.from(message.querySelectorAll('[role="button"]')).some(
+      (button) =>
+        /^(see more|xem thêm)$/i.test(
+          button.textContent.normalize('NFC').trim()
+        )
+    );
+  }
+
+  /**
+   * Deep-scrape the post open in this tab, phase 2 of a crawl
+   * @param {Object} options - Scraping options from the popup
+   * @returns {Promise<Object|null>} Full post with comments
+   */
+  async scrapePermalinkPage(options = {}) {
+    this.options = { ...this.options, ...options, harvestOnly: false };
+    this.compiledFilters = this.compileFilters(this.options.filters);
+    this.extractGroupInfo();
+
+    // Trang bài viết render chậm, chờ tối đa 15 giây
+    let postElement = this.findPermalinkPost();
+    for (let attempt = 0; attempt < 30 && !postElement; attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, 500));
+      postElement = this.findPermalinkPost();
+    }
+    if (!postElement) return null;
+
+    await this.loadPostIdentities();
+    const post = await this.extractPostData(postElement);
+    await this.savePostIdentities();
+    // The stub's text may have been cut short, this one is complete
+    return post
+      ? { ...post, contentTruncated: false, deepScraped: true }
+      : null;
+  }
+
+  /**
+   * The main post of a permalink page, not one of its comments
+   */
+  findPermalinkPost() {
+    const scope =
+      document.querySelector('[role="dialog"]') ||
+      document.querySelector('[role="main"]') ||
+      document.body;
+
+    // Bài viết không phải lúc nào cũng là role="article": lên từ khối nội
+    // dung tới khối lớn nhất chưa chứa header của nhóm
+    const message = Array.from(
+      scope.querySelectorAll(this.messageSelector)
+    ).find((el) => !el.closest('[role="article"]'));
+    if (message) {
+      let element = message;
+      while (
+        element.parentElement &&
+        element.parentElement !== scope &&
+        !element.parentElement.querySelector('h1')
+      ) {
+        element = element.parentElement;
+      }
+      return element;
+    }
+
+    return (
+      Array.from(scope.querySelectorAll('[role="article"]')).find(
+        (el) => !el.parentElement.closest('[role="article"]')
+      ) ||
+      scope.querySelector('[aria-posinset]') ||
+      null
+    );
+  }
+
   /**
    * Extract a single post with improved selectors
    */
   async extractPostData(postElement) {
     if (!postElement) return null;
+    if (this.options.harvestOnly) return this.extractPostStub(postElement);
 
     try {
       console.log('Đang xử lý bài viết với phương pháp mạnh hơn!');
 
       // 1. Lấy ID của bài viết trước
-      const postId =
-        this.extractPostId(postElement) || `generated_${Date.now()}`;
+      const { id: postId } = this.identifyPost(postElement);
+
+      // 2. Mở "Xem thêm" và bản dịch trước khi đọc nội dung
+      const prepared = await this.prepareContent(postElement);
 
-      // 2. Sử dụng phương pháp kết hợp mạnh nhất để lấy nội dung
-      const postText = await this.extractAllContent(postElement);
+      // 3. Bài chia sẻ lại: tách bài gốc ra khỏi caption của người chia sẻ
+      const sharedElement = this.findSharedPostElement(postElement);
+      const ownElement = sharedElement
+        ? this.cloneWithout(postElement, sharedElement)
+        : postElement;
+
+      // 4. Lấy nội dung từ khối message của chính bài viết
+      const content = await this.extractContent(ownElement, prepared);
+      const postText = content.text;
 
       console.log(
         `Đã trích xuất ${postText ? postText.length : 0} ký tự nội dung`
       );
 
-      // 3. Trích xuất các thông tin khác
+      // 5. Trích xuất các thông tin khác
+      const sharedPost = sharedElement
+        ? await this.extractSharedPost(sharedElement)
+        : null;
+      // The original's photos and reactions stay in sharedPost
+      const reactions = this.extractReactions(ownElement);
+      const commentData = await this.extractComments(postElement);
+      const { photos, videos, media } = this.extractMedia(
+        postElement,
+        sharedElement
+      );
+      if (this.options.openPhotoViewer) {
+        await this.resolveFullResolutionPhotos(postElement, photos);
+      }
+
+      const groupId = this.getPostGroupId(ownElement);
+
       return {
         postId,
-        content: postText || '[No content extracted]',
-        author: this.extractAuthor(postElement) || {
-          name: 'Unknown',
-          id: null,
-          profileUrl: null
-        },
-        timestamp:
-          this.extractTimestamp(postElement) || new Date().toISOString(),
-        images: this.extractImages(postElement) || [],
-        likes: this.extractLikes(postElement) || 0,
-        comments: (await this.extractComments(postElement)) || [],
-        extraction_success: !!postText
+        permalink: this.buildPermalink(groupId, postId),
+        groupId,
+        aliases: this.postIdentities.getAliases(postId),
+        content: postText || (sharedPost ? '' : '[No content extracted]'),
+        author: this.extractAuthor(ownElement),
+        ...this.extractTimestamp(ownElement),
+        ...this.extractPostFlags(postElement),
+        translatedContent: content.translatedContent,
+        translatedFrom: content.translatedFrom,
+        ...this.detectLanguage(postText),
+        contentMethod: content.method,
+        contentConfidence: content.confidence,
+        ...this.getRichTextFields(content.richText),
+        sharedPost,
+        images: this.getImageUrls(photos),
+        photos,
+        videos,
+        media,
+        attachments: this.extractAttachments(postElement),
+        links: this.extractMessageLinks(ownElement, postText),
+        listing: this.extractListing(ownElement, postText),
+        poll: this.extractPoll(ownElement),
+        event: this.extractEvent(ownElement),
+        likes: reactions.total,
+        reactions,
+        ...this.extractEngagementCounts(postElement, reactions),
+        comments: commentData.comments,
+        commentsComplete: commentData.complete,
+        commentsTruncated: commentData.truncated,
+        extraction_success: !!postText || !!sharedPost
       };
     } catch (error) {
       console.error('Lỗi khi trích xuất dữ liệu bài viết:', error);
@@ -398,17 +1236,551 @@ class FacebookScraper {
   }
 
   /**
-   * Extract timestamp from post
+   * Find the embedded original inside a reshared post
+   * @param {HTMLElement} postElement - The post DOM element
+   * @returns {HTMLElement|null} Container of the original post
+   */
+  findSharedPostElement(postElement) {
+    if (!postElement) return null;
+
+    const outsideComments = (el) => {
+      const article = el.parentElement?.closest('[role="article"]');
+      return (
+        !article || article === postElement || !postElement.contains(article)
+      );
+    };
+    const authorSelector = 'h2 a, h3 a, h4 a, strong a, a[href*="/user/"]';
+
+    try {
+      // The sharer's header is the first author link of the post
+      const outerAuthor = Array.from(
+        postElement.querySelectorAll(authorSelector)
+      ).find((link) => outsideComments(link) && !this.isInsideMessage(link));
+      if (!outerAuthor) return null;
+
+      const messages = Array.from(
+        postElement.querySelectorAll(this.messageSelector)
+      ).filter(outsideComments);
+      // Not extractPostId: that looks up the shared original itself
+      const outerPostId = this.postIdentities.best(
+        this.collectPostAliases(postElement, null)
+      );
+      const permalinks = Array.from(
+        postElement.querySelectorAll(
+          'a[href*="/permalink/"], a[href*="/posts/"], a[href*="story_fbid="]'
+        )
+      ).filter(
+        (link) =>
+          outsideComments(link) &&
+          !this.isInsideMessage(link) &&
+          !link.href.includes('comment_id=') &&
+          !link.href.includes(outerPostId)
+      );
+
+      // Lên dần từ message/permalink tới khối nhỏ nhất có header riêng
+      for (const seed of [...messages, ...permalinks]) {
+        let node = seed.parentElement;
+        while (node && node !== postElement) {
+          if (node.contains(outerAuthor)) break;
+
+          // Mentions inside a message are not a post header
+          const hasAuthor = Array.from(
+            node.querySelectorAll(authorSelector)
+          ).some((link) => !this.isInsideMessage(link));
+          if (hasAuthor) {
+            // The sharer's caption sits outside the embedded original
+            if (messages[0] !== seed && node.contains(messages[0])) break;
+            return node;
+          }
+          node = node.parentElement;
+        }
+      }
+    } catch (e) {
+      console.debug('Error finding shared post:', e);
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract the original post embedded in a reshare
+   * @param {HTMLElement} sharedElement - Container from findSharedPostElement
+   * @returns {Object} { postId, permalink, author, content, timestamp...,
+   *   photos, videos }
+   */
+  async extractSharedPost(sharedElement) {
+    const permalinkEl = Array.from(
+      sharedElement.querySelectorAll(
+        'a[href*="/permalink/"], a[href*="/posts/"], a[href*="story_fbid="]'
+      )
+    ).find((link) => !link.href.includes('comment_id='));
+    const permalink = permalinkEl ? permalinkEl.href.split('?')[0] : null;
+
+    const { text: content } = await this.extractContent(sharedElement);
+    const { photos, videos } = this.extractMedia(sharedElement);
+
+    return {
+      postId: permalink ? this.extractPostId(sharedElement) : null,
+      permalink,
+      author: this.extractAuthor(sharedElement),
+      content: content || '',
+      ...this.extractTimestamp(sharedElement),
+      photos,
+      videos
+    };
+  }
+
+  /**
+   * Copy of an element with some descendants removed, e.g. the sharer's
+   * caption without the embedded original
+   */
+  cloneWithout(root, ...excluded) {
+    const clone = root.cloneNode(true);
+
+    // Tìm hết các phần tử trong bản sao trước khi xóa để đường đi còn đúng
+    const targets = excluded.map((element) => {
+      // Đường đi theo chỉ số con từ root tới phần tử cần bỏ
+      const path = [];
+      for (
+        let node = element;
+        node && node !== root;
+        node = node.parentElement
+      ) {
+        path.unshift(
+          Array.prototype.indexOf.call(node.parentElement.children, node)
+        );
+      }
+
+      let target = clone;
+      for (const index of path) target = target?.children[index];
+      return target;
+    });
+
+    for (const target of targets) {
+      if (target && target !== clone) target.remove();
+    }
+
+    return clone;
+  }
+
+  /**
+   * Status flags of a post, read from its badges and labels
+   * @param {HTMLElement} postElement - The post DOM element
+   * @returns {Object} { isPinned, isAnnouncement, isEdited, isSponsored, isSuggested, isPendingApproval, hasContentWarning, commentsDisabled }
+   */
+  extractPostFlags(postElement) {
+    const flags = {};
+    for (const flag of Object.keys(this.flagPatterns)) flags[flag] = false;
+    if (!postElement) return flags;
+
+    try {
+      // Nội dung do tác giả viết không phải là nhãn trạng thái
+      const labels = this.collectLabels(
+        postElement,
+        (el) =>
+          !this.isInsideComment(el, postElement) && !this.isInsideMessage(el)
+      );
+
+      for (const label of labels) {
+        for (const [flag, pattern] of Object.entries(this.flagPatterns)) {
+          if (!flags[flag] && pattern.test(label)) flags[flag] = true;
+        }
+      }
+
+      if (!flags.isAnnouncement) {
+        flags.isAnnouncement = this.hasAnnouncementBadge(postElement);
+      }
+
+      // Quảng cáo có link "Tại sao tôi thấy quảng cáo này"
+      if (postElement.querySelector('a[href*="/ads/about"]')) {
+        flags.isSponsored = true;
+      }
+    } catch (error) {
+      console.error('Error extracting post flags:', error);
+    }
+
+    return flags;
+  }
+
+  /**
+   * Whether the post carries the "Thông báo" badge: the whole text of a
+   * badge element, not a link, an aria-label or a word in a sentence
+   * @param {HTMLElement} postElement - The post DOM element
+   * @returns {boolean}
+   */
+  hasAnnouncementBadge(postElement) {
+    return Array.from(postElement.querySelectorAll('span, div')).some(
+      (el) =>
+        !el.querySelector('span, div, a') &&
+        el.textContent.normalize('NFC').trim() === 'Thông báo' &&
+        !el.closest('a, [role="link"]') &&
+        !this.isInsideComment(el, postElement) &&
+        !this.isInsideMessage(el)
+    );
+  }
+
+  /**
+   * Short texts and aria-labels of a container, used to spot UI labels
+   * @param {HTMLElement} container - Element to scan
+   * @param {Function} owns - Which nodes to include
+   * @returns {Array<string>} Labels with whitespace collapsed
+   */
+  collectLabels(container, owns = () => true) {
+    const labels = [];
+
+    for (const el of container.querySelectorAll('span, div, a, [aria-label]')) {
+      if (!owns(el)) continue;
+      if (!el.querySelector('span, div, a')) labels.push(el.textContent);
+      if (el.hasAttribute('aria-label')) {
+        labels.push(el.getAttribute('aria-label'));
+      }
+    }
+
+    return labels
+      .map((label) => label.replace(/\s+/g, ' ').trim())
+      .filter((label) => label && label.length < 120);
+  }
+
+  /**
+   * Add an extracted post to the results unless it is excluded
+   * @returns {boolean} Whether the post was kept
+   */
+  addScrapedPost(post) {
+    if (!post) return false;
+
+    // Cùng một bài được đọc lại dưới ID khác: gộp vào bản ghi cũ
+    post.postId = this.postIdentities.resolve(post.postId);
+    const existing = this.scrapedPosts.find(
+      (p) => this.postIdentities.resolve(p.postId) === post.postId
+    );
+    if (existing) {
+      this.mergePostRecords(existing, post);
+      return false;
+    }
+
+    this.postStats.seen++;
+
+    if (
+      this.options.excludeSponsored &&
+      (post.isSponsored || post.isSuggested)
+    ) {
+      this.log(`Bỏ qua bài được tài trợ/gợi ý: ${post.postId}`);
+      this.postStats.sponsored++;
+      return false;
+    }
+
+    // Bài ngoài khoảng ngày vẫn phải qua đây để biết khi nào dừng
+    if (!this.isInDateWindow(post)) {
+      this.postStats.outsideDates++;
+      return false;
+    }
+
+    if (!this.matchesFilters(post)) {
+      this.postStats.filtered++;
+      return false;
+    }
+
+    this.scrapedPosts.push(post);
+    this.postStats.kept++;
+    return true;
+  }
+
+  /**
+   * Turn the popup's filter settings into matchers, once per run
+   * @param {Object|null} filters - { includeKeywords, excludeKeywords, authors, excludeAuthors, minReactions, minComments, mediaTypes, languages }
+   * @returns {Object|null} Compiled filters, null when nothing is filtered
+   */
+  compileFilters(filters) {
+    if (!filters) return null;
+
+    const toList = (value) =>
+      (Array.isArray(value) ? value : String(value || '').split(/[\n,]/))
+        .map((item) => String(item).trim())
+        .filter(Boolean);
+
+    // Regex đọc trước khi tách: dấu phẩy trong "/giá \d{1,3}k/i" không phải
+    // dấu phân cách
+    const toKeywords = (value) => {
+      if (Array.isArray(value)) return toList(value);
+
+      const regexes = [];
+      const rest = String(value || '').replace(
+        /(^|[\n,])[^\S\n]*(\/(?:\\.|[^/\n])+\/[a-z]*)[^\S\n]*(?=[\n,]|$)/g,
+        (match, separator, regex) => {
+          regexes.push(regex);
+          return separator;
+        }
+      );
+      return [...regexes, ...toList(rest)];
+    };
+
+    // "/giá \d+k/i" là regex, còn lại so khớp chuỗi không phân biệt hoa thường
+    const toMatcher = (keyword) => {
+      const regex = keyword.match(/^\/(.+)\/([gimsuy]*)$/);
+      if (regex) {
+        try {
+          // g và y nhớ lastIndex giữa các bài, bài sau sẽ không khớp
+          const pattern = new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+          return (text) => pattern.test(text);
+        } catch (e) {
+          this.log(`Regex không hợp lệ, dùng như chuỗi: ${keyword}`);
+        }
+      }
+      const needle = keyword.normalize('NFC').toLowerCase();
+      return (text) => text.toLowerCase().includes(needle);
+    };
+
+    const compiled = {
+      include: toKeywords(filters.includeKeywords).map(toMatcher),
+      exclude: toKeywords(filters.excludeKeywords).map(toMatcher),
+      authors: toList(filters.authors).map((a) => a.toLowerCase()),
+      excludeAuthors: toList(filters.excludeAuthors).map((a) =>
+        a.toLowerCase()
+      ),
+      minReactions: parseInt(filters.minReactions) || 0,
+      minComments: parseInt(filters.minComments) || 0,
+      mediaTypes: toList(filters.mediaTypes),
+      languages: toList(filters.languages).map((l) => l.toLowerCase())
+    };
+
+    const isActive =
+      compiled.include.length ||
+      compiled.exclude.length ||
+      compiled.authors.length ||
+      compiled.excludeAuthors.length ||
+      compiled.minReactions ||
+      compiled.minComments ||
+      compiled.mediaTypes.length ||
+      compiled.languages.length;
+    return isActive ? compiled : null;
+  }
+
+  /**
+   * Whether a post passes the run's filters
+   * @param {Object} post - Extracted post
+   * @returns {boolean}
+   */
+  matchesFilters(post) {
+    const filters = this.compiledFilters;
+    if (!filters) return true;
+
+    // Author by name, member ID, username or profile URL
+    const author = post.author || {};
+    const keys = [author.name, author.id, author.username, author.profileUrl]
+      .filter(Boolean)
+      .map((key) => String(key).toLowerCase());
+    if (
+      filters.authors.length &&
+      !keys.some((k) => filters.authors.includes(k))
+    ) {
+      return false;
+    }
+    if (keys.some((k) => filters.excludeAuthors.includes(k))) return false;
+
+    // Bước 1 chỉ thấy đoạn đầu của bài dài: từ khóa bắt buộc và ngôn ngữ
+    // của những bài đó để bước 2 lọc, khi đã đọc đủ nội dung
+    const partial = this.options.harvestOnly && post.contentTruncated;
+
+    const text = [
+      post.content,
+      post.translatedContent,
+      post.sharedPost && post.sharedPost.content
+    ]
+      .filter(Boolean)
+      .join('\n')
+      .normalize('NFC');
+    if (
+      filters.include.length &&
+      !partial &&
+      !filters.include.some((m) => m(text))
+    ) {
+      return false;
+    }
+    if (filters.exclude.some((m) => m(text))) return false;
+
+    const reactions = post.reactions ? post.reactions.total : post.likes;
+    if ((reactions || 0) < filters.minReactions) return false;
+
+    const comments = Math.max(
+      post.commentCount || 0,
+      (post.comments || []).length
+    );
+    if (comments < filters.minComments) return false;
+
+    if (filters.mediaTypes.length) {
+      const has = {
+        images: (post.photos || []).length > 0,
+        video: (post.videos || []).length > 0,
+        link: (post.attachments || []).length + (post.links || []).length > 0
+      };
+      if (!filters.mediaTypes.some((type) => has[type])) return false;
+    }
+
+    if (
+      filters.languages.length &&
+      !partial &&
+      !filters.languages.includes(post.language)
+    ) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Apply the date window to an extracted post and end the run once the
+   * feed has gone past sinceDate
+   * @returns {boolean} Whether the post is kept
+   */
+  isInDateWindow(post) {
+    const position = this.getDateWindowPosition(post);
+
+    // Bài ghim và thông báo luôn ở đầu feed, không nói lên vị trí thời gian
+    const isPinned = post.isPinned || post.isAnnouncement;
+
+    if (position === 'before' && !isPinned) {
+      // "Most relevant" mixes old and new posts, older ones only get skipped
+      if (!this.feedIsNewestFirst) return false;
+
+      this.olderPostStreak++;
+      this.log(
+        `Bài cũ hơn mốc ngày (${this.olderPostStreak}/${this.options.stopAfterOlderPosts}): ${post.postId}`
+      );
+      if (this.olderPostStreak >= this.options.stopAfterOlderPosts) {
+        this.stopByDate();
+      }
+      return false;
+    }
+
+    if (position === 'inside' && !isPinned) this.olderPostStreak = 0;
+    return position === 'inside' || position === 'unknown';
+  }
+
+  /**
+   * End the run because the feed has gone past sinceDate
+   */
+  stopByDate() {
+    if (!this.isCollecting) return;
+
+    this.log(`Đã qua mốc ngày ${this.options.sinceDate}, dừng thu thập`);
+    this.stoppedByDate = true;
+    clearInterval(this.progressInterval);
+    clearInterval(this.backupScrollTimer);
+    this.finishCollection();
+  }
+  /**
+   * Counters of posts seen by the pipeline and why they were dropped
+   */
+  createPostStats() {
+    return { seen: 0, kept: 0, sponsored: 0, outsideDates: 0, filtered: 0 };
+  }
+
+  /**
+   * Where a post falls relative to the sinceDate/untilDate window
+   * @returns {string} 'inside', 'before', 'after' or 'unknown'
+   */
+  getDateWindowPosition(post) {
+    if (!this.options.sinceDate && !this.options.untilDate) return 'inside';
+    if (!post.timestamp) return 'unknown';
+
+    const time = new Date(post.timestamp).getTime();
+    const since = this.parseDateOption(this.options.sinceDate);
+    const until = this.parseDateOption(this.options.untilDate, true);
+
+    if (since && time < since.getTime()) return 'before';
+    if (until && time > until.getTime()) return 'after';
+    return 'inside';
+  }
+
+  /**
+   * Local start or end of day for a 'YYYY-MM-DD' option
+   * @returns {Date|null}
+   */
+  parseDateOption(value, endOfDay = false) {
+    if (!value) return null;
+
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+      ? new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`)
+      : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Switch the group feed to "New posts" so a date cutoff can end the run
+   * @returns {Promise<boolean>} Whether the feed is sorted by new posts
+   */
+  async switchFeedToNewPosts() {
+    const patterns = this.feedSortPatterns;
+    const textOf = (el) => el.textContent.replace(/\s+/g, ' ').trim();
+
+    const button = Array.from(
+      document.querySelectorAll('[role="button"], [aria-haspopup="menu"]')
+    ).find(
+      (el) =>
+        patterns.current.test(textOf(el)) ||
+        patterns.button.test(el.getAttribute('aria-label') || '')
+    );
+    if (!button) {
+      this.log('Không tìm thấy nút sắp xếp feed');
+      return false;
+    }
+    if (patterns.newPosts.test(textOf(button))) return true;
+
+    button.click();
+    await new Promise((resolve) => setTimeout(resolve, 800));
+
+    // Mục menu có thêm dòng mô tả, so từng span
+    const item = Array.from(
+      document.querySelectorAll(
+        '[role="menuitem"], [role="menuitemradio"], [role="option"]'
+      )
+    ).find((el) =>
+      [el, ...el.querySelectorAll('span')].some((node) =>
+        patterns.newPosts.test(textOf(node))
+      )
+    );
+    if (!item) {
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+      this.log('Không tìm thấy mục "Bài viết mới"');
+      return false;
+    }
+
+    item.click();
+    this.log('Đã chuyển feed sang "Bài viết mới"');
+
+    // Chờ feed tải lại theo thứ tự mới
+    await new Promise((resolve) => setTimeout(resolve, 2000));
+    return true;
+  }
+
+  /**
+   * Extract timestamp from post
+   * @param {HTMLElement} postElement - The post DOM element
+   * @returns {Object} { timestamp, timestampText, timestampPrecision }
    */
   extractTimestamp(postElement) {
+    const parser = window.timestampParser;
+    let best = null;
+
     try {
+      // Unix time from the legacy layout is exact, nothing can beat it
+      const abbr = postElement.querySelector('abbr[data-utime]');
+      if (abbr) {
+        const exact = parser.fromUnixTime(
+          abbr.getAttribute('data-utime'),
+          abbr.getAttribute('title') || abbr.textContent.trim()
+        );
+        if (exact) return exact;
+      }
+
       // Multiple selector strategies for timestamps
       const timestampSelectors = [
-        'a[href*="/posts/"] span',
         'a[href*="/posts/"]',
-        'a[href*="/permalink/"] span',
         'a[href*="/permalink/"]',
-        'abbr[data-utime]',
+        'a[href*="story_fbid="]',
+        'a[href*="/posts/"] span',
+        'a[href*="/permalink/"] span',
+        'abbr[title]',
         // New selectors for updated Facebook structure
         'span.x4k7w5x a span',
         'a.x1i10hfl span.x4k7w5x',
@@ -420,242 +1792,1493 @@ class FacebookScraper {
         try {
           const elements = postElement.querySelectorAll(selector);
           for (const el of elements) {
-            // If it's an abbr with unix timestamp
-            if (el.tagName === 'ABBR' && el.getAttribute('data-utime')) {
-              const unixTime = parseInt(el.getAttribute('data-utime'));
-              if (!isNaN(unixTime)) {
-                return new Date(unixTime * 1000).toISOString();
+            // Comment permalinks also point at /posts/, skip their "5h"
+            if (el.closest('a[href*="comment_id="]')) continue;
+
+            // Tooltip dates live in attributes, the visible text is relative
+            const candidates = [
+              el.getAttribute('aria-label'),
+              el.getAttribute('title'),
+              el.textContent.trim()
+            ];
+
+            for (const candidate of candidates) {
+              const parsed = parser.parse(candidate);
+              if (parser.isMorePrecise(parsed, best)) {
+                best = parsed;
               }
             }
 
-            // If it's a text timestamp
-            const text = el.textContent.trim();
-            if (
-              text &&
-              (text.includes('hr') ||
-                text.includes('min') ||
-                text.includes('sec') ||
-                text.includes('giờ') ||
-                text.includes('phút') ||
-                text.includes('giây') ||
-                text.match(/\d+[hms]/))
-            ) {
-              return new Date().toISOString();
-            }
+            if (best && best.timestampPrecision === 'minute') return best;
           }
         } catch (e) {
           // Skip failed selectors
         }
       }
-
-      return new Date().toISOString();
     } catch (e) {
-      return new Date().toISOString();
+      console.debug('Error extracting timestamp:', e);
     }
+
+    return best || parser.unknown();
   }
 
   /**
-   * Extract images from post with improved detection and error handling
+   * Extract timestamp from a comment element
+   * @param {HTMLElement} commentElement - The comment DOM element
+   * @returns {Object} { timestamp, timestampText, timestampPrecision }
    */
-  extractImages(postElement) {
-    if (!postElement) return [];
+  extractCommentTimestamp(commentElement) {
+    const parser = window.timestampParser;
+    let best = null;
 
-    const images = [];
     try {
-      // Safely query selector with error handling
-      const safeQuerySelector = (element, selector) => {
-        try {
-          return element.querySelectorAll(selector);
-        } catch (e) {
-          // Invalid selector syntax, return empty array
-          return [];
-        }
-      };
-
-      // Safely get attribute
-      const safeGetAttribute = (element, attribute) => {
-        try {
-          return element.getAttribute(attribute);
-        } catch (e) {
-          return null;
-        }
-      };
-
-      // SECTION 1: Images in photo.php links
-      const photoLinks = safeQuerySelector(
-        postElement,
-        'a[href*="photo.php"] img'
+      // The permalink of a comment is the "5h" link under its body
+      const links = commentElement.querySelectorAll(
+        'a[href*="comment_id="], a[href*="reply_comment_id="]'
       );
-      for (let i = 0; photoLinks && i < photoLinks.length; i++) {
-        try {
-          const img = photoLinks[i];
-          const src = safeGetAttribute(img, 'src') || img.src;
-
-          if (
-            src &&
-            !src.includes('emoji') &&
-            !src.includes('reaction') &&
-            !images.includes(src)
-          ) {
-            images.push(src);
-          }
-        } catch (e) {
-          // Silent error for individual images
+      for (const link of links) {
+        for (const candidate of [
+          link.getAttribute('aria-label'),
+          link.textContent.trim()
+        ]) {
+          const parsed = parser.parse(candidate);
+          if (parser.isMorePrecise(parsed, best)) best = parsed;
         }
       }
 
-      // SECTION 2: Standard image tags with size filters
-      const allImages = safeQuerySelector(postElement, 'img');
-      for (let i = 0; allImages && i < allImages.length; i++) {
-        try {
-          const img = allImages[i];
-          const src = safeGetAttribute(img, 'src') || img.src;
-
-          if (
-            !src ||
-            src.includes('emoji') ||
-            src.includes('reaction') ||
-            images.includes(src)
-          ) {
-            continue;
-          }
-
-          // Try to get dimensions
-          let width =
-            parseInt(safeGetAttribute(img, 'width')) || img.width || 0;
-          let height =
-            parseInt(safeGetAttribute(img, 'height')) || img.height || 0;
+      // "Comment by Nguyễn Thị Hà 5 hours ago" / "Bình luận của ... 5 giờ trước"
+      if (!best) {
+        const label =
+          commentElement.getAttribute('aria-label') ||
+          commentElement
+            .querySelector('[role="article"][aria-label]')
+            ?.getAttribute('aria-label');
+        const match = label?.match(
+          /((?:\d+|an?)\s+\S+\s+(?:ago|trước)|just now|vừa xong)$/i
+        );
+        if (match) best = parser.parse(match[1]);
+      }
+    } catch (e) {
+      console.debug('Error extracting comment timestamp:', e);
+    }
 
-          // Check classes for content images
-          let imgClass = (safeGetAttribute(img, 'class') || '').toLowerCase();
+    return best || parser.unknown();
+  }
 
-          const isLikelyContentImage =
-            imgClass.includes('image') ||
-            imgClass.includes('photo') ||
-            imgClass.includes('img') ||
-            width >= 350 ||
-            height >= 200;
+  /**
+   * Extract images from post as a plain URL list (kept for older exports)
+   */
+  extractImages(postElement) {
+    return this.getImageUrls(this.extractPhotos(postElement));
+  }
 
-          if (isLikelyContentImage) {
-            images.push(src);
-          }
-        } catch (imgError) {
-          // Skip problematic images
-        }
-      }
+  /**
+   * URLs of the images that belong to the post itself (no avatars)
+   */
+  getImageUrls(photos) {
+    return photos
+      .filter((photo) => photo.type !== 'avatar')
+      .map((photo) => photo.url);
+  }
 
-      // SECTION 3: Modern Facebook image selectors
-      const modernSelectors = [
-        '[data-visualcompletion="media-vc-image"]',
-        '.x1bwycvy img',
-        '.xz74otr img',
-        'img[data-visualcompletion="media-vc-image"]',
-        'div.x3nfvp2 img',
-        'a[aria-label*="photo"] img'
-      ];
+  /**
+   * Extract images from post with photo IDs, best available resolution and
+   * Facebook's generated alt text
+   * @param {HTMLElement} postElement - The post DOM element
+   * @returns {Array} [{ photoId, url, width, height, altText, type }]
+   */
+  extractPhotos(postElement) {
+    return this.findPhotoEntries(postElement).map((entry) => entry.photo);
+  }
 
-      for (const selector of modernSelectors) {
-        const elements = safeQuerySelector(postElement, selector);
-        for (let i = 0; elements && i < elements.length; i++) {
-          try {
-            const img = elements[i];
-            const src = safeGetAttribute(img, 'src') || img.src;
+  /**
+   * Find photo objects together with the element they were read from
+   * @returns {Array} [{ element, photo }] in document order
+   */
+  findPhotoEntries(postElement) {
+    if (!postElement) return [];
 
-            if (src && !images.includes(src)) {
-              images.push(src);
-            }
-          } catch (e) {
-            // Skip problematic images
-          }
-        }
-      }
+    const entries = [];
+    const seen = new Set();
 
-      // SECTION 4: Background images
-      const bgElements = safeQuerySelector(
-        postElement,
-        '[style*="background-image"]'
-      );
-      for (let i = 0; bgElements && i < bgElements.length; i++) {
+    try {
+      const elements = postElement.querySelectorAll('img, svg image');
+      for (const el of elements) {
         try {
-          const el = bgElements[i];
-          if (!el.style || !el.style.backgroundImage) continue;
+          // Comment images are extracted with their comment
+          const article = el.closest('[role="article"]');
+          if (article && article !== postElement) continue;
 
-          const bgImage = el.style.backgroundImage;
-          if (!bgImage.includes('url')) continue;
+          const photo = this.extractPhotoData(el);
+          if (!photo || seen.has(photo.url)) continue;
 
-          const match = bgImage.match(/url\(['"]?(.*?)['"]?\)/);
-          if (match && match[1] && !images.includes(match[1])) {
-            images.push(match[1]);
+          // Same photo can be rendered as a blurred placeholder and the real one
+          if (
+            photo.photoId &&
+            entries.some((entry) => entry.photo.photoId === photo.photoId)
+          ) {
+            continue;
           }
+
+          seen.add(photo.url);
+          entries.push({ element: el, photo });
         } catch (e) {
-          // Skip problematic background images
+          // Skip problematic images
         }
       }
     } catch (error) {
       console.error('Error extracting images:', error);
     }
 
-    return images;
+    return entries;
   }
 
   /**
-   * Extract comments from a post
-   * @param {HTMLElement} postElement - The post DOM element
-   * @returns {Array} - Array of comment objects
+   * Build the photo object for a single <img> or SVG <image>
+   * @returns {Object|null} null for icons, emoji and reaction glyphs
    */
-  async extractComments(postElement) {
-    if (!postElement) return [];
-
-    const comments = [];
-    try {
-      // Try to find the comments section
-      const commentSelectors = [
-        'div[aria-label*="comment"] ul',
-        'ul.x1nhvcw1',
-        '.x1n2onr6 ul',
-        '.x78zum5 ul',
-        'div[data-visualcompletion="comment-list"]',
-        'form ~ ul'
-      ];
+  extractPhotoData(el) {
+    const isSvgImage = el.tagName.toLowerCase() === 'image';
+    const src = isSvgImage
+      ? el.getAttribute('xlink:href') || el.getAttribute('href')
+      : el.getAttribute('src') || el.src;
 
-      let commentSection = null;
-      for (const selector of commentSelectors) {
-        try {
-          const sections = postElement.querySelectorAll(selector);
-          if (sections && sections.length > 0) {
-            // Take the last one, which is usually the comments list
-            commentSection = sections[sections.length - 1];
+    if (
+      !src ||
+      src.startsWith('data:') ||
+      src.includes('emoji') ||
+      src.includes('reaction') ||
+      src.includes('/rsrc.php/')
+    ) {
+      return null;
+    }
+
+    const link = el.closest('a[href]');
+    const href = link ? link.href : '';
+    const altText = el.getAttribute('alt') || null;
+
+    // Pick the widest candidate from srcset, falling back to src
+    let url = src;
+    // SVG <image> sizes are "100%", the real size is on the <svg>
+    const sizeSource = isSvgImage ? el.closest('svg') || el : el;
+    let width =
+      parseInt(sizeSource.getAttribute('width')) ||
+      parseInt(sizeSource.style?.width) ||
+      el.naturalWidth ||
+      null;
+    let height =
+      parseInt(sizeSource.getAttribute('height')) ||
+      parseInt(sizeSource.style?.height) ||
+      el.naturalHeight ||
+      null;
+
+    const srcset = el.getAttribute('srcset');
+    if (srcset) {
+      let bestWidth = 0;
+      for (const candidate of srcset.split(',')) {
+        const [candidateUrl, descriptor] = candidate.trim().split(/\s+/);
+        const candidateWidth = parseInt(descriptor) || 0;
+        if (candidateUrl && candidateWidth > bestWidth) {
+          bestWidth = candidateWidth;
+          url = candidateUrl;
+        }
+      }
+      if (bestWidth && width) {
+        height = height ? Math.round((height * bestWidth) / width) : null;
+        width = bestWidth;
+      } else if (bestWidth) {
+        width = bestWidth;
+      }
+    }
+
+    const type = this.classifyImage(el, url, href, altText, width, height);
+    if (!type) return null;
+
+    return {
+      photoId: this.extractPhotoId(href),
+      url,
+      width,
+      height,
+      altText,
+      type
+    };
+  }
+
+  /**
+   * Decide whether an image is post content, an avatar, a sticker or a GIF
+   * @returns {string|null} null when it's UI chrome rather than an image
+   */
+  classifyImage(el, url, href, altText, width, height) {
+    const alt = (altText || '').toLowerCase();
+
+    // Profile pictures are SVG <image>s or live under t39.30808-1
+    if (
+      el.tagName.toLowerCase() === 'image' ||
+      url.includes('/t39.30808-1/') ||
+      /[?&]stp=[^&]*_s(32|36|40|48|60)x\1/.test(url) ||
+      /\/(user\/\d+|profile\.php)/.test(href)
+    ) {
+      return 'avatar';
+    }
+
+    if (
+      url.includes('/t39.1997-6/') ||
+      alt.includes('sticker') ||
+      alt.includes('nhãn dán') ||
+      el.closest('[aria-label*="sticker" i]')
+    ) {
+      return 'sticker';
+    }
+
+    if (
+      /\.gif(\?|$)/i.test(url) ||
+      url.includes('giphy') ||
+      alt === 'gif' ||
+      el.closest('[aria-label*="GIF"]')
+    ) {
+      return 'gif';
+    }
+
+    const isPhotoLink = /photo\.php|\/photo\/|\/photos\//.test(href);
+    const isContentImage =
+      isPhotoLink ||
+      el.getAttribute('data-visualcompletion') === 'media-vc-image' ||
+      url.includes('/t39.30808-6/') ||
+      width >= 200 ||
+      height >= 200;
+
+    return isContentImage ? 'content' : null;
+  }
+
+  /**
+   * Parse the photo ID from photo.php?fbid=, /photo/?fbid= or /photos/.../<id>
+   */
+  extractPhotoId(href) {
+    if (!href) return null;
+
+    const match =
+      href.match(/[?&]fbid=(\d+)/) ||
+      href.match(/\/photos\/(?:[^/]+\/)?(?:[a-z]+\.[\d.]+\/)?(\d+)/) ||
+      href.match(/\/photo\/(\d+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Extract inline videos, Reels and live replays from a post
+   * @param {HTMLElement} postElement - The post DOM element
+   * @returns {Array} [{ videoId, type, permalink, posterUrl, duration, durationText, viewCount }]
+   */
+  extractVideos(postElement) {
+    return this.findVideoEntries(postElement).map((entry) => entry.video);
+  }
+
+  /**
+   * Find video objects together with their player (or thumbnail link) element
+   * @returns {Array} [{ element, video }] in document order
+   */
+  findVideoEntries(postElement) {
+    if (!postElement) return [];
+
+    const entries = [];
+    const videoLinkSelector = [
+      'a[href*="/videos/"]',
+      'a[href*="/reel/"]',
+      'a[href*="/reels/"]',
+      'a[href*="/watch/?v="]',
+      'a[href*="/watch/live/"]',
+      'a[href*="video.php?v="]'
+    ].join(', ');
+
+    const isOwnNode = (el) => {
+      const article = el.closest('[role="article"]');
+      return !article || article === postElement;
+    };
+
+    try {
+      // Players: walk up from <video> until the box holds its own video link
+      for (const videoEl of postElement.querySelectorAll('video')) {
+        if (!isOwnNode(videoEl)) continue;
+
+        let container = videoEl.parentElement;
+        let link = null;
+        for (
+          let el = videoEl.parentElement, level = 0;
+          el && el !== postElement && level < 15;
+          el = el.parentElement, level++
+        ) {
+          link = el.querySelector(videoLinkSelector);
+          if (link) {
+            container = el;
             break;
           }
-        } catch (e) {
-          // Try next selector
+        }
+
+        entries.push({
+          element: container,
+          video: this.extractVideoData(container, link, videoEl)
+        });
+      }
+
+      // Thumbnails: Reels and videos that aren't rendered as a player yet
+      for (const link of postElement.querySelectorAll(videoLinkSelector)) {
+        if (!isOwnNode(link)) continue;
+        if (entries.some((entry) => entry.element.contains(link))) continue;
+
+        const video = this.extractVideoData(link, link, null);
+        // The post's own timestamp link often points at the same video
+        if (!video.videoId && !link.querySelector('img')) continue;
+
+        entries.push({ element: link, video });
+      }
+    } catch (error) {
+      console.error('Error extracting videos:', error);
+    }
+
+    // Drop entries that resolve to the same video, keep the richer one
+    const unique = [];
+    for (const entry of entries) {
+      const duplicate = entry.video.videoId
+        ? unique.find((u) => u.video.videoId === entry.video.videoId)
+        : null;
+      if (!duplicate) {
+        unique.push(entry);
+      } else {
+        for (const key of Object.keys(entry.video)) {
+          if (duplicate.video[key] == null) {
+            duplicate.video[key] = entry.video[key];
+          }
+        }
+      }
+    }
+
+    // A lone video may show its views in the post footer instead
+    if (unique.length === 1 && unique[0].video.viewCount === null) {
+      unique[0].video.viewCount = this.extractViewCount(postElement);
+    }
+
+    return unique;
+  }
+
+  /**
+   * Build the video object for a player or thumbnail link
+   */
+  extractVideoData(container, link, videoEl) {
+    const href = link ? link.href : '';
+    let videoId = null;
+
+    const idMatch =
+      href.match(/\/videos\/(?:[^/?]+\/)?(\d+)/) ||
+      href.match(/\/reels?\/(\d+)/) ||
+      href.match(/[?&]v=(\d+)/) ||
+      href.match(/\/watch\/live\/?\?v=(\d+)/);
+    if (idMatch) {
+      videoId = idMatch[1];
+    } else {
+      const dataId = container.closest('[data-video-id]');
+      videoId = dataId ? dataId.getAttribute('data-video-id') : null;
+    }
+
+    let permalink = null;
+    if (link) {
+      try {
+        const url = new URL(href, window.location.origin);
+        permalink = `${url.origin}${url.pathname}`;
+        // /watch/?v= and video.php?v= keep the ID in the query string
+        if (!/\d/.test(url.pathname) && videoId) {
+          permalink += `?v=${videoId}`;
+        }
+      } catch (e) {
+        permalink = href;
+      }
+    }
+
+    // Reels, live replays and regular videos
+    const context = `${href} ${container.textContent} ${
+      container.getAttribute('aria-label') || ''
+    }`.toLowerCase();
+    let type = 'video';
+    if (/\/reels?\//.test(href)) {
+      type = 'reel';
+    } else if (
+      href.includes('/live/') ||
+      /was live|đã phát trực tiếp|live replay/.test(context)
+    ) {
+      type = 'live';
+    }
+
+    // Poster: the <video> poster or the frame image shown before playback
+    let posterUrl = videoEl ? videoEl.getAttribute('poster') || null : null;
+    if (!posterUrl) {
+      for (const img of container.querySelectorAll('img')) {
+        const photo = this.extractPhotoData(img);
+        if (photo && photo.type !== 'avatar') {
+          posterUrl = photo.url;
+          break;
+        }
+      }
+    }
+
+    // "0:07 / 2:32" while playing, "2:32" on thumbnails - total is the last one
+    let durationText = null;
+    for (const el of container.querySelectorAll('span')) {
+      const text = el.textContent.trim();
+      if (el.children.length === 0 && /^\d{1,2}(:\d{2}){1,2}$/.test(text)) {
+        durationText = text;
+      }
+    }
+    let duration = durationText
+      ? durationText
+          .split(':')
+          .reduce((total, part) => total * 60 + parseInt(part, 10), 0)
+      : null;
+    if (!duration && videoEl && isFinite(videoEl.duration)) {
+      duration = Math.round(videoEl.duration) || null;
+    }
+
+    return {
+      videoId,
+      type,
+      permalink,
+      posterUrl,
+      duration,
+      durationText,
+      viewCount: this.extractViewCount(container)
+    };
+  }
+
+  /**
+   * Parse "12K views" / "1,2 N lượt xem" inside a video's own container
+   * @returns {number|null} null when Facebook doesn't show a view count
+   */
+  extractViewCount(container) {
+    const pattern = /^([\d.,]+\s*\S*?)\s+(views?|plays?|lượt xem)$/i;
+
+    for (const el of container.querySelectorAll('span')) {
+      // Skip comments, their text is user content
+      const article = el.closest('[role="article"]');
+      if (article && article !== container && container.contains(article)) {
+        continue;
+      }
+
+      const text = el.textContent.normalize('NFC').trim();
+      if (text.length > 30) continue;
+
+      const match = text.match(pattern);
+      if (match) return this.parseAbbreviatedNumber(match[1]);
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract photos and videos as one list in the order they appear
+   * @param {HTMLElement} postElement - The post DOM element
+   * @param {HTMLElement|null} excluded - Part of the post to leave out, e.g.
+   *   the original embedded in a reshare. Read from the live post rather
+   *   than a copy without it: players and loaded images hold their size
+   * @returns {Object} { photos, videos, media } - media holds the same
+   *   objects as photos and videos, tagged with mediaType, so full-size URLs
+   *   resolved later show up in both
+   */
+  extractMedia(postElement, excluded = null) {
+    const isOwn = (entry) => !excluded || !excluded.contains(entry.element);
+    const videoEntries = this.findVideoEntries(postElement).filter(isOwn);
+
+    // Poster frames inside a player are part of the video, not photos
+    const photoEntries = this.findPhotoEntries(postElement).filter(
+      (entry) =>
+        isOwn(entry) &&
+        !videoEntries.some((video) => video.element.contains(entry.element))
+    );
+
+    const media = [
+      ...photoEntries
+        .filter((entry) => entry.photo.type !== 'avatar')
+        .map((entry) => ({
+          element: entry.element,
+          item: Object.assign(entry.photo, { mediaType: 'photo' })
+        })),
+      ...videoEntries.map((entry) => ({
+        element: entry.element,
+        item: Object.assign(entry.video, { mediaType: 'video' })
+      }))
+    ]
+      .sort((a, b) =>
+        a.element.compareDocumentPosition(b.element) &
+        Node.DOCUMENT_POSITION_FOLLOWING
+          ? -1
+          : 1
+      )
+      .map((entry) => entry.item);
+
+    return {
+      photos: photoEntries.map((entry) => entry.photo),
+      videos: videoEntries.map((entry) => entry.video),
+      media
+    };
+  }
+
+  /**
+   * Extract link preview cards attached to a post
+   * @param {HTMLElement} postElement - The post DOM element
+   * @returns {Array} [{ url, domain, title, description }]
+   */
+  extractAttachments(postElement) {
+    if (!postElement) return [];
+
+    // A card is usually several anchors (image, domain, title) to one target
+    const groups = new Map();
+
+    try {
+      for (const link of postElement.querySelectorAll('a[href]')) {
+        const article = link.closest('[role="article"]');
+        if (article && article !== postElement) continue;
+
+        // Links typed into the message are listed by extractMessageLinks
+        if (this.isInsideMessage(link)) continue;
+
+        const url = this.normalizeExternalUrl(link.href);
+        if (!url || !this.isExternalUrl(url)) continue;
+
+        if (!groups.has(url)) groups.set(url, []);
+        groups.get(url).push(link);
+      }
+    } catch (error) {
+      console.error('Error extracting attachments:', error);
+    }
+
+    const attachments = [];
+    for (const [url, links] of groups) {
+      const domain = new URL(url).hostname.replace(/^www\./, '');
+
+      // Leaf texts in card order: domain, title, description
+      const texts = [];
+      for (const link of links) {
+        for (const el of link.querySelectorAll('span, div')) {
+          const text = el.textContent.trim();
+          if (
+            text &&
+            !el.querySelector('span, div') &&
+            !texts.includes(text) &&
+            text !== url
+          ) {
+            texts.push(text);
+          }
+        }
+        if (!link.querySelector('span, div') && link.textContent.trim()) {
+          const text = link.textContent.trim();
+          if (!texts.includes(text)) texts.push(text);
+        }
+      }
+
+      const isDomain = (text) =>
+        text.toLowerCase().replace(/^www\./, '') === domain ||
+        /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(text);
+      const displayedDomain = texts.find(isDomain);
+      const content = texts.filter((text) => !isDomain(text));
+
+      attachments.push({
+        url,
+        domain: displayedDomain ? displayedDomain.toLowerCase() : domain,
+        title: content[0] || null,
+        description: content.slice(1).join(' ') || null
+      });
+    }
+
+    return attachments;
+  }
+
+  /**
+   * List every URL written in the post message, redirects unwrapped
+   * @param {HTMLElement} postElement - The post DOM element
+   * @param {string} text - Message text already extracted for the post
+   * @returns {Array<string>} Cleaned URLs in order of appearance
+   */
+  extractMessageLinks(postElement, text = '') {
+    const links = [];
+    const add = (value) => {
+      const url = this.normalizeExternalUrl(value);
+      if (url && this.isExternalUrl(url) && !links.includes(url)) {
+        links.push(url);
+      }
+    };
+
+    try {
+      // Facebook wraps typed links in l.php anchors inside the message
+      for (const link of postElement.querySelectorAll('a[href]')) {
+        if (this.isInsideMessage(link)) add(link.href);
+      }
+
+      // Links Facebook didn't turn into anchors ("Nguồn: example.com/abc"),
+      // but not email domains, ".co" inside ".company" or the end of a word
+      // ("tên.com")
+      const urlPattern =
+        /\b(?:https?:\/\/|www\.)[^\s<>"'()[\]]+|(?<![@.\p{L}\p{N}_-])[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|vn|io|co|info|me|app|dev|edu|gov|ly|gl)(?:\.[a-z]{2})?(?![\p{L}\p{N}_-])(?:\/[^\s<>"'()[\]]*)?/giu;
+      for (const match of (text || '').match(urlPattern) || []) {
+        const value = match.replace(/[.,;:!?…]+$/, '');
+        add(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+      }
+    } catch (error) {
+      console.error('Error extracting message links:', error);
+    }
+
+    return links;
+  }
+
+  /**
+   * Whether an element sits inside the post's message body
+   */
+  isInsideMessage(element) {
+    return !!element.closest(this.messageSelector);
+  }
+
+  /**
+   * Unwrap l.facebook.com/l.php?u= redirects and strip tracking parameters
+   * @param {string} href - Link as found in the DOM
+   * @returns {string|null} Clean absolute URL
+   */
+  normalizeExternalUrl(href) {
+    if (!href) return null;
+
+    try {
+      let url = new URL(href, window.location.origin);
+
+      if (/^(l|lm)\.facebook\.com$/.test(url.hostname)) {
+        const target = url.searchParams.get('u');
+        if (!target) return null;
+        url = new URL(target);
+      }
+
+      for (const key of Array.from(url.searchParams.keys())) {
+        if (key === 'fbclid' || key.startsWith('__cft__') || key === '__tn__') {
+          url.searchParams.delete(key);
+        }
+      }
+
+      return url.toString();
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a URL points outside Facebook
+   */
+  isExternalUrl(url) {
+    try {
+      const { protocol, hostname } = new URL(url);
+      return (
+        /^https?:$/.test(protocol) &&
+        !/(^|\.)(facebook\.com|fb\.com|fb\.me|fb\.watch|fbcdn\.net|m\.me|messenger\.com)$/.test(
+          hostname
+        )
+      );
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Extract the structured listing of a buy/sell group post
+   * @param {HTMLElement} postElement - The post DOM element
+   * @param {string} text - Message text already extracted for the post
+   * @returns {Object|null} { title, price, currency, location, condition, availability }
+   */
+  extractListing(postElement, text = '') {
+    if (!postElement) return null;
+
+    try {
+      const leaves = this.getLeafTexts(postElement);
+      const lower = leaves.map((leaf) => leaf.toLowerCase());
+
+      // Bài bán hàng có form riêng với nút nhắn tin cho người bán
+      const isStructured =
+        lower.some((leaf) => this.listingPatterns.marker.test(leaf)) ||
+        !!postElement.querySelector(
+          'a[href*="/marketplace/item/"], a[href*="/commerce/listing/"]'
+        );
+
+      const listing = {
+        title: null,
+        price: null,
+        currency: null,
+        location: null,
+        condition: null,
+        availability: null
+      };
+
+      if (isStructured) {
+        const priceIndex = leaves.findIndex((leaf) => this.isPriceText(leaf));
+        if (priceIndex !== -1) {
+          const parsed = this.parsePrice(leaves[priceIndex]);
+          listing.price = parsed.price;
+          listing.currency = parsed.currency;
+
+          // Title sits right above the price, location right below it
+          const title = leaves[priceIndex - 1];
+          if (title && !this.listingPatterns.marker.test(title.toLowerCase())) {
+            listing.title = title;
+          }
+
+          const location = leaves
+            .slice(priceIndex + 1, priceIndex + 4)
+            .find(
+              (leaf) =>
+                leaf !== '·' &&
+                leaf.length < 60 &&
+                !this.getAvailability(leaf) &&
+                !this.listingPatterns.marker.test(leaf.toLowerCase()) &&
+                !this.listingPatterns.label.test(leaf) &&
+                !window.timestampParser.parse(leaf)
+            );
+          if (location) {
+            listing.location = location.replace(
+              this.listingPatterns.listedIn,
+              ''
+            );
+          }
+        }
+
+        listing.availability =
+          leaves.map((leaf) => this.getAvailability(leaf)).find(Boolean) ||
+          'available';
+      }
+
+      // "Condition: Used - Like New", also split over two leaves
+      for (let i = 0; i < leaves.length; i++) {
+        const match = leaves[i].match(this.listingPatterns.label);
+        if (!match) continue;
+
+        const value = (match[2] || leaves[i + 1] || '').trim();
+        if (!value) continue;
+
+        const field = /^(condition|tình trạng)$/i.test(match[1])
+          ? 'condition'
+          : 'location';
+        if (!listing[field]) listing[field] = value;
+      }
+
+      // Bài đăng tự do: "Cần bán iPhone 12, giá 8tr5, khu vực Cầu Giấy"
+      if (!isStructured) {
+        if (!text) return null;
+
+        // "Cần mua iPhone 12, ai bán ib" is a buy request, not a listing
+        const sellAt = text.search(this.listingPatterns.sell);
+        const buyAt = text.search(this.listingPatterns.buy);
+        if (sellAt === -1 || (buyAt !== -1 && buyAt <= sellAt)) return null;
+
+        // After "Giá:" a bare amount is a price too ("Giá: 8.500.000")
+        const priceLine = text.match(this.listingPatterns.priceLabel);
+        const parsed = priceLine
+          ? this.parsePrice(priceLine[1], true)
+          : this.parsePrice(text);
+        if (!parsed) return null;
+
+        listing.price = parsed.price;
+        listing.currency = parsed.currency;
+
+        const firstLine = text.split('\n').find((line) => line.trim());
+        listing.title =
+          firstLine
+            .replace(this.listingPatterns.sellPrefix, '')
+            .trim()
+            .substring(0, 120) || null;
+
+        if (!listing.location) {
+          const location = text.match(this.listingPatterns.locationText);
+          if (location) listing.location = location[1].trim();
+        }
+
+        if (!listing.condition) {
+          const condition = text.match(this.listingPatterns.conditionText);
+          if (condition) listing.condition = condition[0].trim();
+        }
+
+        listing.availability = this.getAvailability(text);
+      }
+
+      return listing;
+    } catch (error) {
+      console.error('Error extracting listing:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Availability shown on a listing: available, pending or sold
+   */
+  getAvailability(text) {
+    const normalized = text.toLowerCase();
+    if (
+      /(?:^|[^\p{L}])(?:sold|đã bán|đã pass|hết hàng|out of stock)(?!\p{L})/u.test(
+        normalized
+      )
+    ) {
+      return 'sold';
+    }
+    if (/^(?:pending|đang chờ(?: xử lý)?)$/.test(normalized)) {
+      return 'pending';
+    }
+    if (/^(?:available|in stock|còn hàng)$/.test(normalized)) {
+      return 'available';
+    }
+    return null;
+  }
+
+  /**
+   * Whether a piece of text is only a price ("₫1,500,000", "Free")
+   */
+  isPriceText(text) {
+    const parsed = this.parsePrice(text);
+    return (
+      !!parsed &&
+      parsed.text.length >= text.replace(/\s*·\s*$/, '').trim().length - 1
+    );
+  }
+
+  /**
+   * Texts of the innermost elements of a post, comments excluded
+   */
+  getLeafTexts(postElement) {
+    const texts = [];
+    for (const el of postElement.querySelectorAll('span, div, h2, h3, h4')) {
+      if (el.querySelector('span, div, h2, h3, h4')) continue;
+
+      if (this.isInsideComment(el, postElement)) continue;
+
+      const text = el.textContent.replace(/\s+/g, ' ').trim();
+      if (text) texts.push(text);
+    }
+    return texts;
+  }
+
+  /**
+   * Extract a poll attached to a post
+   * @param {HTMLElement} postElement - The post DOM element
+   * @returns {Object|null} { question, options, allowsMultipleAnswers, allowsAddingOptions, totalVotes }
+   */
+  extractPoll(postElement) {
+    if (!postElement) return null;
+
+    try {
+      const inputs = Array.from(
+        postElement.querySelectorAll(
+          '[role="checkbox"], [role="radio"], input[type="checkbox"], input[type="radio"]'
+        )
+      ).filter((input) => !this.isInsideComment(input, postElement));
+      if (inputs.length < 2) return null;
+
+      const options = [];
+      for (const input of inputs) {
+        // Hàng của lựa chọn: khối lớn nhất chỉ chứa một ô chọn
+        let row = input;
+        while (
+          row.parentElement &&
+          row.parentElement !== postElement &&
+          row.parentElement.querySelectorAll(
+            '[role="checkbox"], [role="radio"], input[type="checkbox"], input[type="radio"]'
+          ).length === 1
+        ) {
+          row = row.parentElement;
+        }
+
+        const leaves = this.getLeafTexts(row);
+        const votesLeaf = leaves.find((leaf) =>
+          this.pollPatterns.votes.test(leaf)
+        );
+        const label =
+          input.getAttribute('aria-label') ||
+          leaves.find(
+            (leaf) => leaf !== votesLeaf && !/^[+\d.,\s]+$/.test(leaf)
+          );
+        if (!label) continue;
+
+        // Count is either "12 votes" or a bare number at the end of the row
+        let votes = null;
+        if (votesLeaf) {
+          votes = this.parseAbbreviatedNumber(votesLeaf);
+        } else {
+          const last = leaves[leaves.length - 1];
+          if (last && /^\d[\d.,]*\s*[KkMN]?$/.test(last)) {
+            votes = this.parseAbbreviatedNumber(last);
+          }
+        }
+
+        options.push({ text: label.trim(), votes });
+      }
+      if (options.length < 2) return null;
+
+      const message = postElement.querySelector(this.messageSelector);
+      const question = message
+        ? message.textContent.trim()
+        : this.getLeafTexts(postElement).find(
+            (leaf) =>
+              leaf.endsWith('?') && !options.some((o) => o.text === leaf)
+          ) || null;
+
+      const counted = options.filter((option) => option.votes !== null);
+
+      return {
+        question,
+        options,
+        allowsMultipleAnswers: inputs.some(
+          (input) =>
+            input.getAttribute('role') === 'checkbox' ||
+            input.type === 'checkbox'
+        ),
+        allowsAddingOptions: this.getLeafTexts(postElement).some((leaf) =>
+          this.pollPatterns.addOption.test(leaf)
+        ),
+        totalVotes: counted.length
+          ? counted.reduce((sum, option) => sum + option.votes, 0)
+          : null
+      };
+    } catch (error) {
+      console.error('Error extracting poll:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Extract a group event shared in a post
+   * @param {HTMLElement} postElement - The post DOM element
+   * @returns {Object|null} { eventId, url, title, dateText, startTime, location, going, interested }
+   */
+  extractEvent(postElement) {
+    if (!postElement) return null;
+
+    try {
+      const links = Array.from(
+        postElement.querySelectorAll('a[href*="/events/"]')
+      ).filter(
+        (link) =>
+          /\/events\/\d+/.test(link.href) &&
+          !this.isInsideComment(link, postElement)
+      );
+      if (!links.length) return null;
+
+      const eventId = links[0].href.match(/\/events\/(\d+)/)[1];
+      const eventLinks = links.filter((link) =>
+        link.href.includes(`/events/${eventId}`)
+      );
+
+      // Card of the event: smallest block holding its links and the counts
+      let card = eventLinks[0];
+      while (
+        card.parentElement &&
+        card !== postElement &&
+        (!eventLinks.every((link) => card.contains(link)) ||
+          this.getLeafTexts(card).length < 3)
+      ) {
+        card = card.parentElement;
+      }
+
+      const leaves = this.getLeafTexts(card);
+      const event = {
+        eventId,
+        url: `https://www.facebook.com/events/${eventId}/`,
+        title: null,
+        dateText: null,
+        startTime: null,
+        location: null,
+        going: null,
+        interested: null
+      };
+
+      for (const leaf of leaves) {
+        const going = leaf.match(this.eventPatterns.going);
+        if (going) event.going = this.parseAbbreviatedNumber(going[1]);
+
+        const interested = leaf.match(this.eventPatterns.interested);
+        if (interested) {
+          event.interested = this.parseAbbreviatedNumber(interested[1]);
+        }
+      }
+
+      const isCount = (leaf) =>
+        this.eventPatterns.going.test(leaf) ||
+        this.eventPatterns.interested.test(leaf);
+      const isButton = (leaf) => this.eventPatterns.button.test(leaf);
+
+      for (const leaf of leaves) {
+        if (isCount(leaf) || isButton(leaf)) continue;
+
+        if (!event.dateText) {
+          const start = this.parseEventDate(leaf);
+          if (start !== undefined) {
+            event.dateText = leaf;
+            event.startTime = start;
+            continue;
+          }
+        }
+
+        if (!event.title) {
+          // The title is the text of the link to the event
+          if (
+            eventLinks.some((link) => link.contains(this.findLeaf(card, leaf)))
+          ) {
+            event.title = leaf;
+          }
+          continue;
+        }
+
+        if (!event.location) event.location = leaf;
+      }
+
+      return event;
+    } catch (error) {
+      console.error('Error extracting event:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Parse the start of an event date ("SAT, MAR 15 AT 7 PM – MAR 16")
+   * @returns {string|null|undefined} ISO start time, null if the text is a
+   * date that can't be placed, undefined if it isn't a date
+   */
+  parseEventDate(text) {
+    if (this.eventPatterns.happeningNow.test(text)) {
+      return new Date().toISOString();
+    }
+
+    // Chỉ lấy thời điểm bắt đầu của khoảng thời gian
+    const start = text.split(/\s+[–—-]\s+/)[0];
+    const parsed = window.timestampParser.parse(start);
+    if (!parsed) {
+      return this.eventPatterns.dateLike.test(text) ? null : undefined;
+    }
+
+    // Events without a year are upcoming, the parser assumes the past
+    const date = new Date(parsed.timestamp);
+    if (!/\d{4}/.test(start) && date.getTime() < Date.now() - 864e5) {
+      date.setFullYear(date.getFullYear() + 1);
+    }
+    return date.toISOString();
+  }
+
+  /**
+   * Innermost element of a container with the given text
+   */
+  findLeaf(container, text) {
+    return Array.from(container.querySelectorAll('span, div, h2, h3, h4')).find(
+      (el) =>
+        !el.querySelector('span, div, h2, h3, h4') &&
+        el.textContent.replace(/\s+/g, ' ').trim() === text
+    );
+  }
+
+  /**
+   * Whether an element belongs to a comment rather than the post itself
+   */
+  isInsideComment(element, postElement) {
+    const article = element.closest('[role="article"]');
+    return (
+      !!article && article !== postElement && postElement.contains(article)
+    );
+  }
+
+  /**
+   * Extract the post message as plain text plus formatting entities
+   * @param {HTMLElement} postElement - The post DOM element
+   * @returns {Object|null} { text, entities } - entity offsets and lengths
+   * are JavaScript string indices (UTF-16 code units) into text
+   */
+  extractRichText(postElement) {
+    if (!postElement) return null;
+
+    try {
+      const message = this.findMessageContainer(postElement);
+      if (!message) return null;
+
+      const state = { text: '', entities: [] };
+      this.walkRichText(message, state);
+
+      // Bỏ khoảng trắng thừa ở cuối, giữ nguyên offset của entity
+      state.text = state.text.replace(/\s+$/, '');
+      const entities = state.entities
+        .filter((entity) => entity.length > 0)
+        .map((entity) => ({
+          ...entity,
+          length: Math.min(entity.length, state.text.length - entity.offset)
+        }))
+        .sort((a, b) => a.offset - b.offset);
+
+      return { text: state.text, entities };
+    } catch (error) {
+      console.error('Error extracting rich text:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Post fields for a message: plain text, entities and the optional rendering
+   */
+  getRichTextFields(richText) {
+    const fields = {
+      messageText: richText ? richText.text : null,
+      entities: richText ? richText.entities : []
+    };
+
+    if (richText && this.options.richTextFormat === 'html') {
+      fields.messageHtml = this.renderRichText(richText, 'html');
+    } else if (richText && this.options.richTextFormat === 'markdown') {
+      fields.messageMarkdown = this.renderRichText(richText, 'markdown');
+    }
+
+    return fields;
+  }
+
+  /**
+   * Append the text of a DOM node to state, recording entities on the way
+   */
+  walkRichText(node, state) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      // Khoảng trắng hiển thị như trình duyệt, xuống dòng chỉ đến từ <br>
+      let value = node.textContent.replace(/[\s\u00a0\u202f]+/g, ' ');
+      if (!state.text || /\s$/.test(state.text)) value = value.trimStart();
+      state.text += value;
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+    const tag = node.tagName;
+    const ensureBreaks = (count) => {
+      state.text = state.text.replace(/ +$/, '');
+      if (!state.text) return;
+      const trailing = state.text.match(/\n*$/)[0].length;
+      if (trailing < count) state.text += '\n'.repeat(count - trailing);
+    };
+
+    if (tag === 'BR') {
+      state.text = state.text.replace(/ +$/, '') + '\n';
+      return;
+    }
+
+    if (tag === 'IMG') {
+      // Facebook thay emoji bằng ảnh, ký tự gốc nằm trong alt
+      const alt = node.getAttribute('alt') || '';
+      const src = node.getAttribute('src') || '';
+      if (alt && (src.includes('emoji') || !/[\p{L}\d]/u.test(alt))) {
+        state.entities.push({
+          type: 'emoji',
+          offset: state.text.length,
+          length: alt.length,
+          value: alt,
+          url: src || null
+        });
+        state.text += alt;
+      }
+      return;
+    }
+
+    // "See more" and translation controls are inside the message, not part of it
+    const ownText = node.textContent.replace(/\s+/g, ' ').trim();
+    if (
+      (node.getAttribute('role') === 'button' &&
+        /^(?:see more|xem thêm)$/i.test(ownText)) ||
+      this.isTranslationControl(ownText)
+    ) {
+      return;
+    }
+
+    if (tag === 'LI') {
+      ensureBreaks(1);
+      const start = state.text.length;
+      const ordered = node.parentElement?.tagName === 'OL';
+      state.text += ordered
+        ? `${Array.prototype.indexOf.call(node.parentElement.children, node) + 1}. `
+        : '• ';
+      node.childNodes.forEach((child) => this.walkRichText(child, state));
+      state.entities.push({
+        type: 'list_item',
+        offset: start,
+        length: state.text.length - start,
+        value: ordered ? 'ordered' : 'bullet',
+        url: null
+      });
+      return;
+    }
+
+    if (tag === 'P' || (tag === 'DIV' && node.hasAttribute('dir'))) {
+      ensureBreaks(2);
+    } else if (['DIV', 'UL', 'OL', 'BLOCKQUOTE'].includes(tag)) {
+      ensureBreaks(1);
+    }
+
+    const start = state.text.length;
+    node.childNodes.forEach((child) => this.walkRichText(child, state));
+
+    if (tag === 'A' && node.href) {
+      const text = state.text.slice(start).trimEnd();
+      state.entities.push({
+        ...this.classifyMessageLink(node.href, text),
+        offset: start,
+        length: text.length
+      });
+    }
+  }
+
+  /**
+   * Decide whether a link in the message is a mention, hashtag or plain link
+   */
+  classifyMessageLink(href, text) {
+    const url = this.normalizeExternalUrl(href) || href;
+
+    if (/\/hashtag\//.test(url) || text.startsWith('#')) {
+      return {
+        type: 'hashtag',
+        value: text.replace(/^#/, ''),
+        url: url.split('?')[0]
+      };
+    }
+
+    if (
+      !this.isExternalUrl(url) &&
+      /facebook\.com\/(?:groups\/[^/]+\/user\/\d+|profile\.php\?id=\d+|people\/|[\w.]+\/?(?:\?|$))/.test(
+        url
+      ) &&
+      !/^(?:https?:\/\/|www\.)/i.test(text)
+    ) {
+      return { type: 'mention', value: text, url };
+    }
+
+    return { type: 'link', value: url, url };
+  }
+
+  /**
+   * Rebuild the original formatting of a message
+   * @param {Object} richText - { text, entities } from extractRichText
+   * @param {string} format - 'html' or 'markdown'
+   * @returns {string} Rendered message
+   */
+  renderRichText(richText, format = 'html') {
+    if (!richText || !richText.text) return '';
+
+    const { text, entities } = richText;
+    const html = format === 'html';
+    // Message text is user content: nothing in it may turn into markup
+    const escape = html
+      ? (value) =>
+          value
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;')
+      : (value) => value.replace(/([\\`*_{}[\]()<>#!|~&])/g, '\\$1');
+    // Characters that would end a Markdown link target or autolink early
+    const escapeUrl = (url) =>
+      url.replace(
+        /[()<> ]/g,
+        (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+      );
+    // "1. ", "- " or "+ " typed at the start of a line is not a list
+    const escapeLineStart = (line) =>
+      html
+        ? line
+        : line
+            .replace(/^(\s*)(\d+)([.)])(?=\s|$)/, '$1$2\\$3')
+            .replace(/^(\s*)([-+])(?=\s|$)/, '$1\\$2');
+
+    const renderInline = (start, end) => {
+      let output = '';
+      let position = start;
+
+      const inline = entities.filter(
+        (entity) =>
+          ['mention', 'hashtag', 'link'].includes(entity.type) &&
+          entity.offset >= start &&
+          entity.offset + entity.length <= end
+      );
+      for (const entity of inline) {
+        if (entity.offset < position) continue;
+
+        output += escape(text.slice(position, entity.offset));
+        const label = text.slice(entity.offset, entity.offset + entity.length);
+        if (!/^https?:\/\//i.test(entity.url || '')) {
+          output += escape(label);
+        } else if (html) {
+          output += `<a href="${escape(entity.url)}">${escape(label)}</a>`;
+        } else {
+          output +=
+            label === entity.url
+              ? `<${escapeUrl(entity.url)}>`
+              : `[${escape(label)}](${escapeUrl(entity.url)})`;
+        }
+        position = entity.offset + entity.length;
+      }
+
+      return output + escape(text.slice(position, end));
+    };
+
+    // Chia thành các dòng, mỗi dòng biết offset của nó trong text
+    const lines = [];
+    let offset = 0;
+    for (const line of text.split('\n')) {
+      const item = entities.find(
+        (entity) => entity.type === 'list_item' && entity.offset === offset
+      );
+      const prefix = item ? line.match(/^(?:• |\d+\. )/) : null;
+      const start = offset + (prefix ? prefix[0].length : 0);
+
+      lines.push({
+        list: item ? item.value : null,
+        empty: !line.trim(),
+        content: escapeLineStart(renderInline(start, offset + line.length))
+      });
+      offset += line.length + 1;
+    }
+
+    // Gom các dòng liền nhau thành đoạn văn hoặc danh sách
+    const blocks = [];
+    for (const line of lines) {
+      const last = blocks[blocks.length - 1];
+      const kind = line.empty ? null : line.list || 'paragraph';
+
+      if (!kind) {
+        if (last) last.closed = true;
+        continue;
+      }
+      if (last && !last.closed && last.kind === kind) {
+        last.lines.push(line.content);
+      } else {
+        blocks.push({ kind, lines: [line.content], closed: false });
+      }
+    }
+
+    if (html) {
+      return blocks
+        .map((block) => {
+          if (block.kind === 'paragraph') {
+            return `<p>${block.lines.join('<br>')}</p>`;
+          }
+          const tag = block.kind === 'ordered' ? 'ol' : 'ul';
+          const items = block.lines.map((line) => `<li>${line}</li>`).join('');
+          return `<${tag}>${items}</${tag}>`;
+        })
+        .join('\n');
+    }
+
+    return blocks
+      .map((block) => {
+        if (block.kind === 'paragraph') return block.lines.join('  \n');
+        return block.lines
+          .map((line, i) =>
+            block.kind === 'ordered' ? `${i + 1}. ${line}` : `- ${line}`
+          )
+          .join('\n');
+      })
+      .join('\n\n');
+  }
+
+  /**
+   * Open each photo in Facebook's viewer to read its full-size URL
+   * @param {HTMLElement} postElement - The post DOM element
+   * @param {Array} photos - Photo objects from extractPhotos, updated in place
+   */
+  async resolveFullResolutionPhotos(postElement, photos) {
+    for (const photo of photos) {
+      if (photo.type !== 'content' || !photo.photoId) continue;
+
+      const link = postElement.querySelector(`a[href*="${photo.photoId}"]`);
+      if (!link) continue;
+
+      // Feed images use the same markup, only trust a dialog this click opened
+      const dialogsBefore = new Set(
+        document.querySelectorAll('[role="dialog"]')
+      );
+      let viewer = null;
+
+      try {
+        link.click();
+
+        // Wait for the viewer image to replace the spinner
+        let viewerImage = null;
+        for (let i = 0; i < 12 && !viewerImage; i++) {
+          await new Promise((resolve) => setTimeout(resolve, 250));
+          viewer =
+            Array.from(document.querySelectorAll('[role="dialog"]')).find(
+              (dialog) => !dialogsBefore.has(dialog)
+            ) || null;
+          viewerImage = viewer && this.findViewerImage(viewer, photo.photoId);
+        }
+
+        if (viewerImage && viewerImage.src) {
+          photo.url = viewerImage.src;
+          photo.width = viewerImage.naturalWidth || photo.width;
+          photo.height = viewerImage.naturalHeight || photo.height;
+          photo.altText = viewerImage.getAttribute('alt') || photo.altText;
+        }
+      } catch (e) {
+        console.debug('Error reading photo viewer:', e);
+      } finally {
+        // Close the viewer the same way as modal posts
+        if (viewer) {
+          document.dispatchEvent(
+            new KeyboardEvent('keydown', {
+              key: 'Escape',
+              code: 'Escape',
+              keyCode: 27,
+              which: 27,
+              bubbles: true
+            })
+          );
+          await new Promise((resolve) => setTimeout(resolve, 500));
         }
       }
+    }
 
-      if (!commentSection) {
-        // Try to expand comments first if there's a "view more comments" button
+    return photos;
+  }
+
+  /**
+   * Find the full-size image of a photo in an opened viewer dialog
+   * @param {HTMLElement} viewer - The viewer dialog
+   * @param {string} photoId - fbid of the photo that was clicked
+   * @returns {HTMLImageElement|null} null until the viewer shows that photo
+   */
+  findViewerImage(viewer, photoId) {
+    const image = viewer.querySelector(
+      'img[data-visualcompletion="media-vc-image"]'
+    );
+    if (!image) return null;
+
+    // The viewer updates the address bar, and the CDN file name embeds the fbid
+    const showsPhoto =
+      (image.src || '').includes(photoId) ||
+      window.location.href.includes(photoId) ||
+      !!viewer.querySelector(`a[href*="${photoId}"]`);
+    return showsPhoto ? image : null;
+  }
+
+  /**
+   * Extract comments from a post as a thread tree
+   * @param {HTMLElement} postElement - The post DOM element
+   * @returns {Object} { comments, complete, truncated } - comments are
+   *   top-level comment objects with nested replies
+   */
+  async extractComments(postElement) {
+    const result = { comments: [], complete: false, truncated: false };
+    if (!postElement) return result;
+
+    const comments = result.comments;
+    try {
+      // Open the comment list if Facebook hasn't rendered it yet
+      if (this.getCommentElements(postElement).length === 0) {
         const viewMoreBtns = postElement.querySelectorAll(
           'div[role="button"]:not([aria-expanded="false"])'
         );
         for (const btn of viewMoreBtns) {
           if (
             btn.textContent.includes('comment') ||
-            btn.textContent.includes('bình luận') ||
-            btn.textContent.includes('View') ||
-            btn.textContent.includes('Xem')
+            btn.textContent.includes('bình luận')
           ) {
             try {
               btn.click();
               // Give time for comments to load
               await new Promise((resolve) => setTimeout(resolve, 500));
-              // Try to find comments section again
-              for (const selector of commentSelectors) {
-                const sections = postElement.querySelectorAll(selector);
-                if (sections && sections.length > 0) {
-                  commentSection = sections[sections.length - 1];
-                  break;
-                }
-              }
+              break;
             } catch (e) {
               // Ignore errors when clicking
             }
@@ -663,86 +3286,548 @@ class FacebookScraper {
         }
       }
 
-      // If we found a comment section, extract comments
-      if (commentSection) {
-        const commentItems = commentSection.querySelectorAll('li');
-        this.log(`Found ${commentItems.length} comments`);
-
-        for (const item of commentItems) {
-          try {
-            // Extract comment author
-            let authorElement = item.querySelector('a[role="link"]');
-            const authorName = authorElement
-              ? authorElement.textContent.trim()
-              : 'Unknown';
-            const authorProfileUrl = authorElement ? authorElement.href : null;
-
-            // Extract comment text
-            const contentSelectors = [
-              'div[dir="auto"]',
-              'span[dir="auto"]',
-              '.xdj266r',
-              '[data-ad-comet-preview="message"]'
-            ];
+      if (this.options.commentMode === 'all') {
+        Object.assign(result, await this.loadAllComments(postElement));
+      } else {
+        // "Most relevant" hides comments even without a more button
+        result.complete =
+          !this.findMoreCommentsButton(postElement) &&
+          this.isShowingAllComments(postElement);
+      }
 
-            let commentText = '';
-            for (const selector of contentSelectors) {
-              const textEl = item.querySelector(selector);
-              if (textEl && textEl.textContent.trim()) {
-                commentText = textEl.textContent.trim();
-                break;
-              }
-            }
+      await this.expandCommentReplies(postElement);
+
+      const commentElements = this.getCommentElements(postElement);
+      this.log(`Found ${commentElements.length} comments`);
+
+      // Bản dịch của từng bình luận, đọc trước khi trả lại bản gốc
+      const translations = new Map();
+      for (const item of commentElements) {
+        const translation = await this.prepareTranslation(
+          item,
+          (el) => this.ownsCommentNode(item, el),
+          () =>
+            this.getCommentNodes(
+              item,
+              'div[dir="auto"][style*="text-align"]'
+            )[0] || null,
+          () => this.getCommentText(item)
+        );
+        if (translation) translations.set(item, translation);
+      }
 
-            // Skip empty comments
-            if (!commentText) continue;
+      // Map each comment element to its object so replies can find parents
+      const byElement = new Map();
+      const byId = new Map();
 
-            // Extract timestamp
-            let timestamp = 'Unknown';
-            const timeElement = item.querySelector(
-              'a[role="link"] span[dir="auto"]'
-            );
-            if (timeElement) {
-              timestamp = timeElement.textContent.trim();
-            }
+      for (const item of commentElements) {
+        try {
+          const comment = this.extractCommentData(item, translations.get(item));
+          if (!comment) continue;
+
+          // The same comment can be rendered twice while Facebook re-renders
+          if (comment.commentId && byId.has(comment.commentId)) continue;
+
+          const parentElement = this.findParentCommentElement(
+            item,
+            postElement
+          );
+          let parent = parentElement ? byElement.get(parentElement) : null;
+          if (!parent && comment.parentId) {
+            parent = byId.get(comment.parentId) || null;
+          }
+
+          if (parent) {
+            comment.parentId = parent.commentId;
+            comment.depth = parent.depth + 1;
+            parent.replies.push(comment);
+          } else {
+            comment.parentId = null;
+            comment.depth = 0;
+            comments.push(comment);
+          }
+
+          byElement.set(item, comment);
+          if (comment.commentId) byId.set(comment.commentId, comment);
+        } catch (e) {
+          console.error('Error extracting comment:', e);
+        }
+      }
+
+      // The cap counts top-level comments, replies come along with them
+      const cap = this.options.maxCommentsPerPost;
+      if (cap && comments.length > cap) {
+        comments.splice(cap);
+        result.complete = false;
+        result.truncated = true;
+      }
+    } catch (error) {
+      console.error('Error extracting comments:', error);
+    }
+
+    return result;
+  }
+
+  /**
+   * Switch to "All comments" and page through the list until it is exhausted
+   * or the per-post cap is reached
+   * @param {HTMLElement} postElement - The post DOM element
+   * @returns {Object} { complete, truncated }
+   */
+  async loadAllComments(postElement) {
+    const cap = this.options.maxCommentsPerPost;
+    const orderingSwitched = await this.selectAllCommentsOrdering(postElement);
+
+    let button = this.findMoreCommentsButton(postElement);
+    let stalled = 0;
+
+    while (button) {
+      const before = this.getCommentElements(postElement).length;
+      if (cap && this.countTopLevelComments(postElement) >= cap) {
+        this.log(`Comment cap of ${cap} reached`);
+        return { complete: false, truncated: true };
+      }
+
+      try {
+        button.click();
+      } catch (e) {
+        console.debug('Error clicking more comments button:', e);
+      }
+
+      const loaded = await this.waitForCommentGrowth(postElement, before);
+
+      // Facebook sometimes keeps a dead button around, give up after 3 tries
+      stalled = loaded ? 0 : stalled + 1;
+      if (stalled >= 3) {
+        this.log('More comments button stopped loading comments');
+        return { complete: false, truncated: false };
+      }
+
+      button = this.findMoreCommentsButton(postElement);
+    }
+
+    return { complete: orderingSwitched, truncated: false };
+  }
+
+  /**
+   * Count comments that are not replies to another comment
+   * @param {HTMLElement} postElement - The post DOM element
+   * @returns {number}
+   */
+  countTopLevelComments(postElement) {
+    return this.getCommentElements(postElement).filter(
+      (item) => !this.findParentCommentElement(item, postElement)
+    ).length;
+  }
+
+  /**
+   * Find the comment ordering menu button ("Most relevant", "All comments")
+   * @returns {HTMLElement|null} null when the post has no ordering menu
+   */
+  findCommentOrderingButton(postElement) {
+    const normalize = (el) =>
+      el.textContent.normalize('NFC').trim().toLowerCase();
+    const orderingLabels = [
+      'most relevant',
+      'top comments',
+      'newest',
+      'all comments',
+      'phù hợp nhất',
+      'bình luận hàng đầu',
+      'mới nhất',
+      'tất cả bình luận'
+    ];
+
+    return (
+      Array.from(postElement.querySelectorAll('[role="button"]')).find((el) =>
+        orderingLabels.includes(normalize(el))
+      ) || null
+    );
+  }
+
+  /**
+   * Whether the comment list is set to "All comments"
+   * @returns {boolean} true as well when the post has no ordering menu
+   */
+  isShowingAllComments(postElement) {
+    const menuButton = this.findCommentOrderingButton(postElement);
+    return !menuButton || this.isAllCommentsLabel(menuButton.textContent);
+  }
+
+  /**
+   * Whether a menu label is "All comments" / "Tất cả bình luận"
+   */
+  isAllCommentsLabel(text) {
+    return /^(all comments|tất cả bình luận)/.test(
+      text.normalize('NFC').trim().toLowerCase()
+    );
+  }
+
+  /**
+   * Change the comment ordering menu from "Most relevant" to "All comments"
+   * @returns {boolean} true when all comments are shown (or there is no menu)
+   */
+  async selectAllCommentsOrdering(postElement) {
+    // Posts with few comments have no ordering menu
+    if (this.isShowingAllComments(postElement)) return true;
+    const menuButton = this.findCommentOrderingButton(postElement);
+
+    try {
+      menuButton.click();
+      await new Promise((resolve) => setTimeout(resolve, 800));
+
+      // The menu is rendered in a layer outside the post
+      const item = Array.from(
+        document.querySelectorAll('[role="menuitem"]')
+      ).find((el) => this.isAllCommentsLabel(el.textContent));
+
+      if (!item) {
+        this.log('"All comments" option not found in ordering menu');
+        return false;
+      }
+
+      item.click();
+      await new Promise((resolve) => setTimeout(resolve, 1500));
+      return true;
+    } catch (e) {
+      console.debug('Error switching comment ordering:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Find the "View more comments" / "Xem thêm bình luận" button of a post
+   * @returns {HTMLElement|null}
+   */
+  findMoreCommentsButton(postElement) {
+    const patterns = [
+      /^(view|see)\s+(\d+\s+)?(more|previous|all)\s+(\d+\s+)?comments?/,
+      /^xem thêm(\s+\d+)?\s+bình luận/,
+      /^xem (các |những )?bình luận trước/,
+      /^xem tất cả(\s+\d+)?\s+bình luận/
+    ];
+
+    const buttons = postElement.querySelectorAll('[role="button"]');
+    for (const button of buttons) {
+      // Reply toggles live inside comments, these buttons don't
+      const article = button.closest('[role="article"]');
+      if (article && article !== postElement) continue;
+
+      const text = button.textContent.normalize('NFC').trim().toLowerCase();
+      if (text.length < 60 && patterns.some((re) => re.test(text))) {
+        return button;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Wait until more comments are rendered than before
+   * @returns {boolean} Whether new comments appeared before the timeout
+   */
+  async waitForCommentGrowth(postElement, previousCount, timeout = 4000) {
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+      await new Promise((resolve) => setTimeout(resolve, 250));
+      if (this.getCommentElements(postElement).length > previousCount) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Find comment elements inside a post, in document order
+   * @param {HTMLElement} postElement - The post DOM element
+   * @returns {Array<HTMLElement>} Comment elements
+   */
+  getCommentElements(postElement) {
+    // Modern layout: every comment and reply is its own labelled article
+    const articles = Array.from(
+      postElement.querySelectorAll('[role="article"]')
+    ).filter((el) => el !== postElement);
+    if (articles.length > 0) return articles;
+
+    // Legacy layout: comments are list items under the comment list
+    const commentSelectors = [
+      'div[aria-label*="comment"] ul',
+      'ul.x1nhvcw1',
+      'div[data-visualcompletion="comment-list"]',
+      'form ~ ul'
+    ];
+
+    for (const selector of commentSelectors) {
+      try {
+        const sections = postElement.querySelectorAll(selector);
+        if (sections && sections.length > 0) {
+          // Take the last one, which is usually the comments list
+          return Array.from(
+            sections[sections.length - 1].querySelectorAll('li')
+          );
+        }
+      } catch (e) {
+        // Try next selector
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Find the comment a reply belongs to by walking up the nested lists
+   * @returns {HTMLElement|null} Parent comment element
+   */
+  findParentCommentElement(commentElement, postElement) {
+    let li = commentElement.closest('li');
+    // Legacy layout uses the li itself as the comment element
+    if (li === commentElement) li = li.parentElement?.closest('li');
+    else if (li) li = li.parentElement?.closest('li');
+
+    while (li && postElement.contains(li) && li !== postElement) {
+      const candidate =
+        li.querySelector('[role="article"]') ||
+        (commentElement.tagName === 'LI' ? li : null);
+      if (candidate && candidate !== commentElement) return candidate;
+      li = li.parentElement?.closest('li');
+    }
+
+    return null;
+  }
+
+  /**
+   * Click "View N replies" buttons until the configured depth is reached
+   * @param {HTMLElement} postElement - The post DOM element
+   */
+  async expandCommentReplies(postElement) {
+    const maxDepth = this.options.maxReplyDepth;
+    if (!maxDepth || maxDepth < 1) return;
+
+    const clicked = new Set();
+
+    // New reply buttons appear once the previous level has loaded
+    for (let pass = 0; pass < maxDepth * 3; pass++) {
+      let expanded = false;
+
+      const buttons = postElement.querySelectorAll('[role="button"]');
+      for (const button of buttons) {
+        if (clicked.has(button) || !this.isViewRepliesButton(button)) {
+          continue;
+        }
+
+        // Replies of a comment nested in N lists sit at depth N
+        const depth = this.countCommentLists(button, postElement);
+        if (depth > maxDepth) continue;
+
+        try {
+          clicked.add(button);
+          button.click();
+          expanded = true;
+          await new Promise((resolve) => setTimeout(resolve, 700));
+        } catch (e) {
+          console.debug('Error expanding replies:', e);
+        }
+      }
+
+      if (!expanded) break;
+    }
+  }
+
+  /**
+   * Whether a button is a "View 3 replies" / "Xem 3 phản hồi" toggle
+   */
+  isViewRepliesButton(button) {
+    const text = button.textContent.normalize('NFC').trim().toLowerCase();
+    if (!text || text.length > 60) return false;
+
+    // The plain "Reply" action has no count and no "view"
+    if (!/(\d|view|see|xem)/.test(text)) return false;
+    // "Hide 3 replies" / "Ẩn 3 phản hồi" would collapse an opened thread
+    if (/^(hide|ẩn)\b/.test(text)) return false;
+
+    return /\brepl(y|ies)\b/.test(text) || text.includes('phản hồi');
+  }
+
+  /**
+   * Count the comment list items an element is nested in
+   */
+  countCommentLists(element, postElement) {
+    let depth = 0;
+    let li = element.closest('li');
+    while (li && postElement.contains(li) && li !== postElement) {
+      depth++;
+      li = li.parentElement?.closest('li');
+    }
+    return Math.max(depth, 1);
+  }
+
+  /**
+   * Extract a single comment
+   * @param {HTMLElement} item - The comment DOM element
+   * @returns {Object|null} Comment object, null for empty comments
+   */
+  extractCommentData(item, translation = null) {
+    const ownNodes = (selector) => this.getCommentNodes(item, selector);
+
+    // Extract comment author - the avatar link has no text, skip it
+    const authorElement = ownNodes('a[role="link"], a[href]').find(
+      (link) =>
+        link.textContent.trim() &&
+        !link.href.includes('comment_id=') &&
+        !link.href.includes('/hashtag/')
+    );
+    const label = item.getAttribute('aria-label') || '';
+    const labelName = label.match(
+      /^(?:comment by|reply by|bình luận của|phản hồi của)\s+(.+?)\s+(?:(?:\d+|an?)\s+\S+\s+(?:ago|trước)|just now|vừa xong)$/i
+    );
+    const authorName = authorElement
+      ? authorElement.textContent.trim()
+      : labelName
+        ? labelName[1]
+        : 'Unknown';
+    const author = this.buildAuthor(
+      authorElement,
+      item,
+      authorName,
+      (el) =>
+        this.ownsCommentNode(item, el) &&
+        !el.closest('div[dir="auto"][style*="text-align"]') &&
+        (!authorElement || !authorElement.contains(el))
+    );
+
+    // Extract comment text
+    const commentText = this.getCommentText(item, authorName);
+
+    // Skip empty comments
+    if (!commentText) return null;
+
+    // Get comment images
+    const images = [];
+    for (const img of ownNodes('img:not([role="presentation"])')) {
+      const src = img.src || img.getAttribute('src');
+      if (
+        src &&
+        !src.includes('emoji') &&
+        !src.includes('reaction') &&
+        !images.includes(src)
+      ) {
+        images.push(src);
+      }
+    }
+
+    const ids = this.extractCommentIds(ownNodes('a[href*="comment_id="]'));
+
+    return {
+      commentId: ids.commentId,
+      parentId: ids.parentId,
+      depth: 0,
+      author,
+      content: commentText,
+      translatedContent: translation ? translation.translatedContent : null,
+      translatedFrom: translation ? translation.translatedFrom : null,
+      ...this.detectLanguage(commentText),
+      ...this.extractCommentTimestamp(item),
+      images: images,
+      replies: [],
+      scraped_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Language fields for a post or comment text
+   * @returns {Object} { language, languageConfidence, languages, languageMixed }
+   */
+  detectLanguage(text) {
+    const result = window.languageDetector.detect(text);
+    return {
+      language: result.language,
+      languageConfidence: result.confidence,
+      languages: result.languages,
+      languageMixed: result.mixed
+    };
+  }
+
+  /**
+   * Nodes of a comment itself, not of its nested replies
+   */
+  getCommentNodes(item, selector) {
+    return Array.from(item.querySelectorAll(selector)).filter((el) =>
+      this.ownsCommentNode(item, el)
+    );
+  }
+
+  /**
+   * Whether a node belongs to the comment rather than one of its replies
+   */
+  ownsCommentNode(item, el) {
+    return item.tagName === 'LI'
+      ? el.closest('li') === item
+      : el.closest('[role="article"]') === item;
+  }
+
+  /**
+   * Text of a comment body
+   * @param {HTMLElement} item - The comment element
+   * @param {string} authorName - Name to leave out of the text
+   */
+  getCommentText(item, authorName = null) {
+    const contentSelectors = [
+      'div[dir="auto"][style*="text-align"]',
+      '[data-ad-comet-preview="message"]',
+      '.xdj266r',
+      'span[dir="auto"]'
+    ];
+
+    for (const selector of contentSelectors) {
+      const texts = this.getCommentNodes(item, selector)
+        .filter((el) => !el.closest('a'))
+        .map((el) => el.textContent.trim())
+        .filter(
+          (text) =>
+            text && text !== authorName && !this.isTranslationControl(text)
+        );
+      if (texts.length > 0) return texts.join('\n');
+    }
+
+    return '';
+  }
+
+  /**
+   * Parse comment_id / reply_comment_id from a comment's permalinks
+   * @param {Array<HTMLAnchorElement>} links - Links inside the comment
+   * @returns {Object} { commentId, parentId }
+   */
+  extractCommentIds(links) {
+    // Newer links carry base64 ids like "Y29tbWVudDoxMjNfNDU2" (comment:123_456)
+    const decode = (value) => {
+      if (!value || /^\d+$/.test(value)) return value || null;
+      try {
+        const decoded = atob(decodeURIComponent(value));
+        const match = decoded.match(/(\d+)$/);
+        return match ? match[1] : value;
+      } catch (e) {
+        return value;
+      }
+    };
 
-            // Get comment images
-            const images = [];
-            const imageElements = item.querySelectorAll(
-              'img:not([role="presentation"])'
-            );
-            for (const img of imageElements) {
-              const src = img.src || img.getAttribute('src');
-              if (
-                src &&
-                !src.includes('emoji') &&
-                !src.includes('reaction') &&
-                !images.includes(src)
-              ) {
-                images.push(src);
-              }
-            }
+    for (const link of links) {
+      try {
+        const url = new URL(link.href, window.location.origin);
+        const commentId = url.searchParams.get('comment_id');
+        const replyId = url.searchParams.get('reply_comment_id');
 
-            comments.push({
-              author: {
-                name: authorName,
-                profileUrl: authorProfileUrl
-              },
-              content: commentText,
-              timestamp: timestamp,
-              images: images,
-              scraped_at: new Date().toISOString()
-            });
-          } catch (e) {
-            console.error('Error extracting comment:', e);
-          }
+        if (replyId) {
+          return { commentId: decode(replyId), parentId: decode(commentId) };
+        }
+        if (commentId) {
+          return { commentId: decode(commentId), parentId: null };
         }
+      } catch (e) {
+        // Try next link
       }
-    } catch (error) {
-      console.error('Error extracting comments:', error);
     }
 
-    return comments;
+    return { commentId: null, parentId: null };
   }
 
   /**
@@ -790,13 +3875,10 @@ class FacebookScraper {
 
             if (isComment) continue;
 
-            // Lấy ID của bài viết
-            const postId = this.extractPostId(el);
-
-            if (postId && !this.processedIds.has(postId)) {
-              // Thêm bài viết vào danh sách và đánh dấu đã xử lý
-              this.processedIds.add(postId);
+            // Lấy ID của bài viết, bài đã gặp dưới ID khác cũng bị bỏ qua
+            const { id: postId, isNew } = this.identifyPost(el);
 
+            if (postId && isNew) {
               // Lưu bài viết vào map với postId làm khóa để đảm bảo duy nhất
               if (!uniquePosts.has(postId)) {
                 uniquePosts.set(postId, { element: el, id: postId });
@@ -828,9 +3910,7 @@ class FacebookScraper {
         );
         for (const { element, id } of initialBatch) {
           this.extractPostData(element).then((post) => {
-            if (post) {
-              this.scrapedPosts.push(post);
-            }
+            this.addScrapedPost(post);
           });
         }
 
@@ -857,10 +3937,7 @@ class FacebookScraper {
     Promise.all(
       batch.map(async ({ element, id }) => {
         const post = await this.extractPostData(element);
-        if (post) {
-          this.scrapedPosts.push(post);
-          // Highlighting code...
-        }
+        this.addScrapedPost(post);
       })
     ).then(() => {
       if (queue.length > 0) {
@@ -876,9 +3953,12 @@ class FacebookScraper {
 
   /**
    * Finish collection and save results
+   * @param {boolean} isComplete - false when the run is cut short and the
+   * posts collected so far are sent as they are
    */
-  finishCollection() {
-    if (!this.isCollecting) return;
+  async finishCollection(isComplete = true) {
+    if (!this.isCollecting || this.isFinishing) return;
+    this.isFinishing = true;
 
     this.log(`Finishing collection with ${this.scrapedPosts.length} posts`);
 
@@ -891,17 +3971,29 @@ class FacebookScraper {
       this.sentinelElement.parentNode.removeChild(this.sentinelElement);
     }
 
+    clearInterval(this.progressInterval);
+    clearInterval(this.backupScrollTimer);
     clearInterval(this.cleanupInterval);
 
+    // The About page may still be loading on a short run
+    await Promise.race([
+      this.groupProfileLoading,
+      new Promise((resolve) => setTimeout(resolve, 15000))
+    ]);
+
     // Remove duplicate posts
     this.removeDuplicatePosts();
+    this.savePostIdentities();
 
     // Prepare result
     const result = {
       group: this.groupInfo,
       posts: this.scrapedPosts.slice(0, this.postsToCollect),
       totalScraped: this.scrapedPosts.length,
-      isComplete: true,
+      isComplete,
+      harvestOnly: this.options.harvestOnly,
+      stoppedByDate: this.stoppedByDate,
+      stats: { ...this.postStats },
       lastSaved: new Date().toISOString()
     };
 
@@ -917,6 +4009,7 @@ class FacebookScraper {
     }
 
     this.isCollecting = false;
+    this.isFinishing = false;
 
     // Notify background script with error handling
     try {
@@ -1012,7 +4105,7 @@ class FacebookScraper {
   /**
    * Start collecting posts with optimizations
    */
-  async startCollecting(count = 50) {
+  async startCollecting(count = 50, options = {}) {
     if (this.isCollecting) return;
 
     console.log('=== BẮT ĐẦU QUÁ TRÌNH SCRAPE ===');
@@ -1035,10 +4128,19 @@ class FacebookScraper {
     this.isCollecting = true;
     this.isPaused = false;
     this.postsToCollect = count;
+    // A crawl asks for harvestOnly, plain runs always extract everything
+    this.options = { ...this.options, harvestOnly: false, ...options };
     this.scrapedPosts = [];
-    this.processedIds = new Set();
+    this.seenPostIds.clear();
+    await this.loadPostIdentities();
+    this.olderPostStreak = 0;
+    this.stoppedByDate = false;
+    this.compiledFilters = this.compileFilters(this.options.filters);
+    this.postStats = this.createPostStats();
     this.lastLoadTime = 1000;
     this.extractGroupInfo();
+    // Loads the About page in the background, finishCollection waits for it
+    this.groupProfileLoading = this.completeGroupProfile();
 
     // Add style for debugging
     if (this.debugMode) {
@@ -1057,6 +4159,14 @@ class FacebookScraper {
 
     this.log(`Starting collection of ${count} posts`);
 
+    // Mốc ngày chỉ dừng được khi feed xếp theo bài mới nhất
+    this.feedIsNewestFirst = this.options.sinceDate
+      ? await this.switchFeedToNewPosts()
+      : false;
+    if (this.options.sinceDate && !this.feedIsNewestFirst) {
+      this.log('Feed không xếp theo bài mới, chỉ bỏ qua bài cũ hơn mốc ngày');
+    }
+
     // Set up observer for efficient scrolling
     this.setupIntersectionObserver();
 
@@ -1231,6 +4341,7 @@ class FacebookScraper {
         group: this.groupInfo,
         posts: this.scrapedPosts.slice(), // Create a copy of the current posts array
         totalScraped: this.scrapedPosts.length,
+        stats: { ...this.postStats },
         isComplete: false,
         lastSaved: new Date().toISOString()
       };
@@ -1256,10 +4367,7 @@ class FacebookScraper {
     try {
       console.log('Bắt đầu trích xuất nội dung nâng cao cho bài viết...');
 
-      // 1. Expand all "See more" buttons first
-      this.expandSeemoreButtons(postElement);
-
-      // 2. Try multiple extraction methods and combine results
+      // Try multiple extraction methods and combine results
       const extractedContent = new Set();
 
       // METHOD 1: Extract from known content containers using multiple passes
@@ -1554,33 +4662,65 @@ class FacebookScraper {
 
       if (postElement) {
         // Use our standard extraction methods on this modal content
-        const postContent = await this.extractAllContent(postElement);
-        const postId = this.extractPostId(postElement);
-
-        if (postContent && postId) {
-          // Store this content with its ID so we don't extract it again
-          this.processedIds.add(postId);
-
+        const prepared = await this.prepareContent(postElement);
+        const sharedElement = this.findSharedPostElement(postElement);
+        const ownElement = sharedElement
+          ? this.cloneWithout(postElement, sharedElement)
+          : postElement;
+        const content = await this.extractContent(ownElement, prepared);
+        const postContent = content.text;
+        // Register every alias so we don't extract it again
+        const { id: postId } = this.identifyPost(postElement);
+
+        if ((postContent || sharedElement) && postId) {
           // Create a post object for this modal content
+          const sharedPost = sharedElement
+            ? await this.extractSharedPost(sharedElement)
+            : null;
+          const reactions = this.extractReactions(ownElement);
+          const commentData = await this.extractComments(postElement);
+          const { photos, videos, media } = this.extractMedia(
+            postElement,
+            sharedElement
+          );
+          const groupId = this.getPostGroupId(ownElement);
           const post = {
             postId,
-            content: postContent,
-            author: this.extractAuthor(postElement) || {
-              name: 'Unknown',
-              id: null,
-              profileUrl: null
-            },
-            timestamp:
-              this.extractTimestamp(postElement) || new Date().toISOString(),
-            images: this.extractImages(postElement) || [],
-            likes: this.extractLikes(postElement) || 0,
-            comments: (await this.extractComments(postElement)) || [],
-            extraction_success: !!postContent,
+            permalink: this.buildPermalink(groupId, postId),
+            groupId,
+            aliases: this.postIdentities.getAliases(postId),
+            content: postContent || '',
+            author: this.extractAuthor(ownElement),
+            ...this.extractTimestamp(ownElement),
+            ...this.extractPostFlags(postElement),
+            translatedContent: content.translatedContent,
+            translatedFrom: content.translatedFrom,
+            ...this.detectLanguage(postContent),
+            contentMethod: content.method,
+            contentConfidence: content.confidence,
+            ...this.getRichTextFields(content.richText),
+            sharedPost,
+            images: this.getImageUrls(photos),
+            photos,
+            videos,
+            media,
+            attachments: this.extractAttachments(postElement),
+            links: this.extractMessageLinks(ownElement, postContent),
+            listing: this.extractListing(ownElement, postContent),
+            poll: this.extractPoll(ownElement),
+            event: this.extractEvent(ownElement),
+            likes: reactions.total,
+            reactions,
+            ...this.extractEngagementCounts(postElement, reactions),
+            comments: commentData.comments,
+            commentsComplete: commentData.complete,
+            commentsTruncated: commentData.truncated,
+            extraction_success: !!postContent || !!sharedPost,
             from_modal: true // Mark that this came from a modal view
           };
 
           // Add to our scraped posts
-          this.scrapedPosts.push(post);
+          this.addScrapedPost(post);
 
           console.log('Successfully extracted post from modal view:', postId);
           return post;
@@ -1716,122 +4856,257 @@ class FacebookScraper {
   }
 
   /**
-   * Extract content directly from Facebook's internal data structures
-   * This is the most aggressive method that tries to access FB's internal data
+   * Expand "See more" and translations of a post before its text is read
+   * @param {HTMLElement} postElement - The post DOM element
+   * @returns {Object} { translation }
+   */
+  async prepareContent(postElement) {
+    await this.expandSeemoreButtons(postElement);
+
+    const translation = await this.prepareTranslation(
+      postElement,
+      (el) => !this.isInsideComment(el, postElement),
+      () => this.findMessageContainer(postElement),
+      () => {
+        const richText = this.extractRichText(postElement);
+        return richText ? richText.text : '';
+      }
+    );
+
+    return { translation };
+  }
+
+  /**
+   * Capture a translation shown by Facebook and put the original text back
+   * in place, so content is never the translated text
+   * @param {HTMLElement} scope - Post or comment element
+   * @param {Function} owns - Whether a node belongs to this post or comment
+   * @param {Function} getMessage - Returns the element with the text
+   * @param {Function} readText - Reads the text currently shown
+   * @returns {Object|null} { translatedContent, translatedFrom, element }
    */
-  extractFromFacebookInternals() {
+  async prepareTranslation(scope, owns, getMessage, readText) {
+    const patterns = this.translationPatterns;
+
     try {
-      // Tìm tất cả các script tags trong trang
-      const scripts = document.querySelectorAll('script');
-      const results = [];
+      let seeOriginal = this.findTranslationElement(
+        scope,
+        patterns.seeOriginal,
+        owns
+      );
 
-      // Tìm kiếm cấu trúc dữ liệu nội bộ của Facebook
-      for (const script of scripts) {
-        const text = script.textContent || '';
+      // Chế độ mở bản dịch: chủ động bấm "Xem bản dịch"
+      if (!seeOriginal && this.options.expandTranslations) {
+        const seeTranslation = this.findTranslationElement(
+          scope,
+          patterns.seeTranslation,
+          owns
+        );
+        if (!seeTranslation) return null;
+
+        (
+          seeTranslation.closest('[role="button"], a') || seeTranslation
+        ).click();
+        await new Promise((resolve) => setTimeout(resolve, 800));
+        seeOriginal = this.findTranslationElement(
+          scope,
+          patterns.seeOriginal,
+          owns
+        );
+      }
 
-        // Tìm kiếm các cấu trúc dữ liệu có thể chứa nội dung bài viết
-        if (
-          text.includes('"story_attachment_style"') ||
-          text.includes('"message"') ||
-          text.includes('"story":')
-        ) {
-          // Tìm các đối tượng JSON có khả năng chứa nội dung
-          const jsonPattern = /\{"require":\[.+?\],"define":\[.+?\]}/g;
-          const jsonMatches = text.match(jsonPattern);
-
-          if (jsonMatches) {
-            for (const jsonStr of jsonMatches) {
-              try {
-                // Phân tích cú pháp JSON
-                const data = JSON.parse(jsonStr);
-
-                // Đào sâu vào cấu trúc để tìm nội dung
-                this.extractNestedContent(data, results);
-              } catch (e) {
-                // Bỏ qua lỗi JSON parsing
-              }
-            }
-          }
-        }
+      const label = this.findTranslationElement(
+        scope,
+        patterns.translatedFrom,
+        owns
+      );
+      if (!seeOriginal && !label) return null;
+
+      const translatedFrom = label
+        ? this.parseTranslatedFrom(label.textContent)
+        : null;
+
+      // Bản dịch hiện thành khối riêng bên dưới nội dung gốc
+      const block = label
+        ? this.findTranslationBlock(label, scope, getMessage())
+        : null;
+      if (block) {
+        return {
+          translatedContent: this.getLeafTexts(block)
+            .filter((text) => !this.isTranslationControl(text))
+            .join('\n'),
+          translatedFrom,
+          element: block
+        };
+      }
+
+      // Bản dịch thay thế nội dung gốc: đọc rồi bấm "Xem bản gốc"
+      const translatedContent = readText();
+      if (seeOriginal) {
+        (seeOriginal.closest('[role="button"], a') || seeOriginal).click();
+        await new Promise((resolve) => setTimeout(resolve, 800));
       }
 
-      return results;
+      return { translatedContent, translatedFrom, element: null };
     } catch (error) {
-      console.error('Error extracting from Facebook internals:', error);
-      return [];
+      console.error('Error reading translation:', error);
+      return null;
     }
   }
 
   /**
-   * Đào sâu vào các cấu trúc JSON để tìm nội dung
+   * Innermost element owned by a post or comment whose text matches pattern
    */
-  extractNestedContent(obj, results, depth = 0) {
-    // Giới hạn độ sâu để tránh đệ quy vô hạn
-    if (depth > 10) return;
+  findTranslationElement(scope, pattern, owns) {
+    const matches = Array.from(
+      scope.querySelectorAll('[role="button"], a, span, div')
+    ).filter(
+      (el) =>
+        owns(el) && pattern.test(el.textContent.replace(/\s+/g, ' ').trim())
+    );
+    return (
+      matches.find(
+        (el) => !matches.some((other) => other !== el && el.contains(other))
+      ) || null
+    );
+  }
 
-    try {
-      // Nếu là mảng, duyệt qua từng phần tử
-      if (Array.isArray(obj)) {
-        for (const item of obj) {
-          this.extractNestedContent(item, results, depth + 1);
-        }
-        return;
-      }
+  /**
+   * Block holding a translation shown apart from the original text
+   * @returns {HTMLElement|null} null when the translation replaced the text
+   */
+  findTranslationBlock(label, scope, message) {
+    for (let node = label; node && node !== scope; node = node.parentElement) {
+      if (message && (node === message || node.contains(message))) return null;
+      if (message && message.contains(node)) return null;
 
-      // Nếu không phải object, bỏ qua
-      if (!obj || typeof obj !== 'object') return;
+      const hasText = this.getLeafTexts(node).some(
+        (text) => !this.isTranslationControl(text)
+      );
+      if (hasText) return node;
+    }
+    return null;
+  }
 
-      // Kiểm tra các thuộc tính quan trọng
-      for (const key in obj) {
-        // Tìm các khóa liên quan đến nội dung
-        if (
-          ['text', 'message', 'content', 'body', 'description'].includes(key)
-        ) {
-          const value = obj[key];
+  /**
+   * Whether a text is a translation label or control
+   */
+  isTranslationControl(text) {
+    const patterns = this.translationPatterns;
+    return (
+      text === '·' ||
+      patterns.seeTranslation.test(text) ||
+      patterns.seeOriginal.test(text) ||
+      patterns.translatedFrom.test(text) ||
+      patterns.rate.test(text)
+    );
+  }
 
-          // Nếu là string và đủ dài, đây có thể là nội dung
-          if (typeof value === 'string' && value.length > 50) {
-            results.push(value);
-          }
-          // Nếu là object và có text, đây có thể là nội dung có định dạng
-          else if (value && typeof value === 'object' && value.text) {
-            if (typeof value.text === 'string' && value.text.length > 50) {
-              results.push(value.text);
-            }
-          }
-        }
+  /**
+   * Source language from "Translated from Vietnamese" / "Đã dịch từ tiếng Anh"
+   */
+  parseTranslatedFrom(text) {
+    const match = text
+      .replace(/\s+/g, ' ')
+      .trim()
+      .match(this.translationPatterns.translatedFrom);
+    if (!match) return null;
+
+    return (match[1] || match[2])
+      .split(/\s*·\s*/)[0]
+      .replace(/\s+(?:by|bởi)\s+.*$/i, '')
+      .trim();
+  }
 
-        // Đào sâu hơn vào các thuộc tính khác
-        this.extractNestedContent(obj[key], results, depth + 1);
-      }
-    } catch (e) {
-      // Bỏ qua lỗi
-    }
+  /**
+   * Message container of a post, comments excluded
+   */
+  findMessageContainer(postElement) {
+    return (
+      Array.from(postElement.querySelectorAll(this.messageSelector)).find(
+        (el) => !this.isInsideComment(el, postElement)
+      ) || null
+    );
   }
 
   /**
-   * Master method that combines all extraction techniques
+   * Extract the post message, anchored on the post's own message container
+   * @param {HTMLElement} postElement - The post DOM element
+   * @param {Object} prepared - Result of prepareContent, required for clones
+   * @returns {Object} { text, method, confidence, richText, translatedContent, translatedFrom }
    */
-  async extractAllContent(postElement) {
-    // Array to hold content from all methods
-    const allContent = new Set();
+  async extractContent(postElement, prepared = null) {
+    if (!prepared && postElement.isConnected) {
+      prepared = await this.prepareContent(postElement);
+    }
+
+    const translation = prepared ? prepared.translation : null;
+    const translationFields = {
+      translatedContent: translation ? translation.translatedContent : null,
+      translatedFrom: translation ? translation.translatedFrom : null
+    };
+
+    // 1. The message container holds exactly what the author wrote
+    const richText = this.extractRichText(postElement);
+    if (richText) {
+      return {
+        text: richText.text,
+        method: 'message',
+        confidence: 0.95,
+        richText,
+        ...translationFields
+      };
+    }
 
-    // Method 1: Standard method
-    const standardContent = this.extractPostContentAdvanced(postElement);
-    if (standardContent) {
-      standardContent.split('\n\n').forEach((text) => allContent.add(text));
+    // 2. No container: heuristics on the post with its comments removed
+    const excluded = this.getCommentElements(postElement);
+    if (translation?.element && postElement.contains(translation.element)) {
+      excluded.push(translation.element);
     }
+    const scope = this.cloneWithout(postElement, ...excluded);
+    const fallbacks = [
+      {
+        method: 'heuristic',
+        confidence: 0.5,
+        pieces: this.extractPostContentAdvanced(scope).split('\n\n')
+      },
+      {
+        method: 'xpath',
+        confidence: 0.3,
+        pieces: this.extractContentWithXPath(scope)
+      }
+    ];
 
-    // Method 2: XPath method
-    const xpathContent = this.extractContentWithXPath(postElement);
-    xpathContent.forEach((text) => allContent.add(text));
+    for (const { method, confidence, pieces } of fallbacks) {
+      const text = this.mergeContentPieces(
+        pieces.map((piece) => this.stripBoilerplate(piece)).filter(Boolean)
+      );
+      if (text) {
+        console.log(`Nội dung lấy bằng phương pháp dự phòng: ${method}`);
+        return {
+          text,
+          method,
+          confidence,
+          richText: null,
+          ...translationFields
+        };
+      }
+    }
 
-    // Method 3: Try to access Facebook internals
-    const internalContent = this.extractFromFacebookInternals();
-    internalContent.forEach((text) => allContent.add(text));
+    return {
+      text: '',
+      method: 'none',
+      confidence: 0,
+      richText: null,
+      ...translationFields
+    };
+  }
 
-    // Sort by length (longest first) and filter duplicates
-    return Array.from(allContent)
+  /**
+   * Join content pieces, longest first, dropping near-duplicates
+   */
+  mergeContentPieces(pieces) {
+    return Array.from(new Set(pieces))
       .sort((a, b) => b.length - a.length)
       .filter((text, index, array) => {
         // Remove near-duplicates
@@ -1850,6 +5125,29 @@ class FacebookScraper {
       .join('\n\n');
   }
 
+  /**
+   * Remove Facebook UI labels, counters and timestamps from fallback text
+   */
+  stripBoilerplate(text) {
+    if (!text) return '';
+
+    return text
+      .split('\n')
+      .map((line) =>
+        line.replace(/\s*(?:…|\.\.\.)?\s*(?:see more|xem thêm)$/i, '').trim()
+      )
+      .filter(
+        (line) =>
+          line &&
+          // "Like Comment Share", "Thích · Bình luận · Chia sẻ"
+          line.replace(this.boilerplatePattern, '').replace(/[\s·•|]+/g, '') &&
+          !this.counterPattern.test(line) &&
+          !window.timestampParser.parse(line)
+      )
+      .join('\n')
+      .trim();
+  }
+
   /**
    * Calculate similarity between two strings (simple implementation)
    */
@@ -1909,6 +5207,9 @@ class FacebookScraper {
             // Bỏ qua links đến ảnh hoặc nút like/comment
             if (
               el.href &&
+              el.textContent.trim() &&
+              !this.isInsideComment(el, postElement) &&
+              !this.isInsideMessage(el) &&
               !el.href.includes('photo.php') &&
               !el.href.includes('reaction') &&
               !el.textContent.includes('Like') &&
@@ -1925,41 +5226,105 @@ class FacebookScraper {
       }
 
       if (!authorElement) {
-        console.log('Không tìm thấy tác giả, dùng "Unknown"');
-        return {
-          name: 'Unknown',
-          id: null,
-          profileUrl: null
-        };
-      }
-
-      const authorName = authorElement.textContent.trim();
-      const authorProfileUrl = authorElement.href || null;
-      let authorId = null;
-
-      // Trích xuất ID từ URL profile
-      if (authorProfileUrl) {
-        const authorIdMatch = authorProfileUrl.match(
-          /\/(?:profile\.php\?id=(\d+)|([^?/]+))/
+        // Bài ẩn danh thường không có link tới trang cá nhân
+        const anonymous = this.getLeafTexts(postElement).find((text) =>
+          this.authorPatterns.anonymous.test(text)
         );
-        if (authorIdMatch) {
-          authorId = authorIdMatch[1] || authorIdMatch[2];
-        }
+        if (anonymous) return this.buildAuthor(null, null, anonymous);
+
+        console.log('Không tìm thấy tác giả, dùng "Unknown"');
+        return this.buildAuthor(null, null);
       }
 
-      return {
-        name: authorName || 'Unknown',
-        id: authorId,
-        profileUrl: authorProfileUrl
-      };
+      // Huy hiệu nằm cạnh tên, ngay ngoài khối chứa tên
+      const nameBlock =
+        authorElement.closest('[data-ad-rendering-role="profile_name"]') ||
+        authorElement.closest('h2, h3, h4') ||
+        authorElement;
+      return this.buildAuthor(authorElement, nameBlock.parentElement);
     } catch (error) {
       console.error('Lỗi khi trích xuất thông tin tác giả:', error);
-      return {
-        name: 'Unknown',
-        id: null,
-        profileUrl: null
-      };
+      return this.buildAuthor(null, null);
+    }
+  }
+
+  /**
+   * Build an author object from the link to a member's profile
+   * @param {HTMLAnchorElement|null} link - Profile link of the author
+   * @param {HTMLElement|null} header - Element holding the name and badges
+   * @param {string} fallbackName - Name to use when there is no link
+   * @param {Function} owns - Which nodes of header belong to this author
+   * @returns {Object} { name, id, username, profileUrl, badges, isAnonymous }
+   */
+  buildAuthor(link, header, fallbackName = 'Unknown', owns = () => true) {
+    const name = (link && link.textContent.trim()) || fallbackName;
+    const isAnonymous =
+      this.authorPatterns.anonymous.test(name) ||
+      (!!header &&
+        this.getLeafTexts(header).some((text) =>
+          this.authorPatterns.anonymous.test(text)
+        ));
+
+    const profileUrl =
+      link && !isAnonymous ? this.normalizeExternalUrl(link.href) : null;
+    const { id, username } = this.parseMemberId(profileUrl);
+
+    return {
+      name,
+      id,
+      username,
+      profileUrl,
+      badges: header ? this.extractBadges(header, owns) : [],
+      isAnonymous
+    };
+  }
+
+  /**
+   * Numeric member ID or vanity username from a profile URL
+   * @param {string} url - Profile URL
+   * @returns {Object} { id, username }
+   */
+  parseMemberId(url) {
+    const result = { id: null, username: null };
+    if (!url) return result;
+
+    // /groups/<gid>/user/<uid>/, profile.php?id=<uid>, /people/<name>/<uid>/
+    const numeric = url.match(
+      /\/groups\/[^/]+\/user\/(\d+)|profile\.php\?(?:.*&)?id=(\d+)|\/people\/[^/]+\/(\d+)/
+    );
+    if (numeric) {
+      result.id = numeric[1] || numeric[2] || numeric[3];
+      return result;
+    }
+
+    const vanity = url.match(/facebook\.com\/([\w.]+)\/?(?:\?|$)/);
+    if (vanity && !this.authorPatterns.reservedPaths.test(vanity[1])) {
+      result.username = vanity[1];
+    }
+
+    return result;
+  }
+
+  /**
+   * Group badges shown next to an author's name
+   * @param {HTMLElement} container - Element around the name
+   * @param {Function} owns - Which nodes of container belong to this author
+   * @returns {Array<string>} Badge keys like "admin" or "top_contributor"
+   */
+  extractBadges(container, owns = () => true) {
+    const badges = [];
+
+    for (const label of this.collectLabels(container, owns)) {
+      const text = label.replace(/^huy hiệu\s+|\s+badge$/i, '');
+
+      for (const [badge, pattern] of Object.entries(
+        this.authorPatterns.badges
+      )) {
+        if (pattern.test(text) && !badges.includes(badge)) badges.push(badge);
+      }
     }
+
+    return badges;
   }
 
   /**
@@ -1986,10 +5351,10 @@ class FacebookScraper {
           const elements = postElement.querySelectorAll(selector);
           for (const el of elements) {
             const text = el.getAttribute('aria-label') || el.textContent;
-            // Tìm kiếm số lượng trong text
-            const match = text.match(/(\d+)/);
-            if (match) {
-              return parseInt(match[0], 10);
+            // Tìm kiếm số lượng trong text ("1.2K reactions", "2,3 N")
+            const count = this.parseAbbreviatedNumber(text);
+            if (count !== null) {
+              return count;
             }
           }
         } catch (e) {
@@ -2004,25 +5369,346 @@ class FacebookScraper {
     }
   }
 
+  /**
+   * Extract the per-type reaction breakdown from the reaction summary toolbar
+   * @param {HTMLElement} postElement - The post DOM element
+   * @returns {Object} { total, like, love, care, haha, wow, sad, angry }
+   */
+  extractReactions(postElement) {
+    const reactions = {
+      total: 0,
+      like: 0,
+      love: 0,
+      care: 0,
+      haha: 0,
+      wow: 0,
+      sad: 0,
+      angry: 0
+    };
+
+    // Label prefixes as they appear in "Like: 903 people" / "Thích: 903 người"
+    const reactionLabels = {
+      love: ['love', 'yêu thích'],
+      care: ['care', 'thương thương'],
+      like: ['like', 'thích'],
+      haha: ['haha'],
+      wow: ['wow'],
+      sad: ['sad', 'buồn'],
+      angry: ['angry', 'phẫn nộ']
+    };
+
+    try {
+      // Toolbar buttons carry one aria-label per reaction type shown
+      const labelled = postElement.querySelectorAll(
+        '[role="toolbar"] [aria-label], [aria-label*=":"][role="button"]'
+      );
+      for (const el of labelled) {
+        const label = el.getAttribute('aria-label');
+        const separator = label.indexOf(':');
+        if (separator === -1) continue;
+
+        const name = label.slice(0, separator).trim().toLowerCase();
+        const type = Object.keys(reactionLabels).find((key) =>
+          reactionLabels[key].includes(name)
+        );
+        if (!type) continue;
+
+        const count = this.parseAbbreviatedNumber(label.slice(separator + 1));
+        if (count !== null) {
+          reactions[type] = Math.max(reactions[type], count);
+        }
+      }
+
+      // Total sits next to the hidden "All reactions:" label
+      const totalLabels = postElement.querySelectorAll('div, span');
+      for (const el of totalLabels) {
+        const text = el.textContent.trim();
+        if (
+          el.children.length === 0 &&
+          /^(all reactions|tất cả cảm xúc):?$/i.test(text)
+        ) {
+          const container = el.closest('[role="button"]') || el.parentElement;
+          const count = this.parseAbbreviatedNumber(
+            container.textContent.replace(text, '')
+          );
+          if (count !== null) {
+            reactions.total = count;
+            break;
+          }
+        }
+      }
+
+      if (!reactions.total) {
+        reactions.total = this.extractLikes(postElement) || 0;
+      }
+
+      // Only the top types are listed, so the total can never be smaller
+      const sum = Object.keys(reactionLabels).reduce(
+        (total, type) => total + reactions[type],
+        0
+      );
+      reactions.total = Math.max(reactions.total, sum);
+    } catch (error) {
+      console.error('Lỗi khi trích xuất cảm xúc:', error);
+    }
+
+    return reactions;
+  }
+
+  /**
+   * Extract the displayed comment and share counters from the post footer
+   * @param {HTMLElement} postElement - The post DOM element
+   * @param {Object|null} reactions - Result of extractReactions
+   * @returns {Object} { commentCount, shareCount, countsHidden } - a count is
+   * 0 when the footer shows no counter, null when it is hidden
+   * (countsHidden) or no footer was found
+   */
+  extractEngagementCounts(postElement, reactions = null) {
+    const counts = {
+      commentCount: null,
+      shareCount: null,
+      countsHidden: false
+    };
+
+    const patterns = {
+      commentCount: /^([\d.,]+\s*\S*?)\s+(comments?|bình luận)$/i,
+      shareCount: /^([\d.,]+\s*\S*?)\s+(shares?|lượt chia sẻ|chia sẻ)$/i
+    };
+
+    try {
+      const elements = postElement.querySelectorAll(
+        '[role="button"] span, span[dir="auto"], div[role="button"]'
+      );
+
+      for (const el of elements) {
+        // Skip anything inside a comment, its text is user content
+        const article = el.closest('[role="article"]');
+        if (article && article !== postElement) continue;
+
+        const text = el.textContent.normalize('NFC').trim();
+        if (!text || text.length > 40) continue;
+
+        for (const key of Object.keys(patterns)) {
+          if (counts[key] !== null) continue;
+
+          const match = text.match(patterns[key]);
+          if (match) {
+            counts[key] = this.parseAbbreviatedNumber(match[1]);
+          }
+        }
+
+        if (counts.commentCount !== null && counts.shareCount !== null) break;
+      }
+
+      // Reaction icons without a number, or rendered comments without a
+      // counter, mean the counts are hidden rather than zero
+      const reactionSummary = postElement.querySelector(
+        '[aria-label*="see who reacted" i], [aria-label*="xem ai đã bày tỏ cảm xúc" i]'
+      );
+      const hasComments = Array.from(
+        postElement.querySelectorAll('[role="article"]')
+      ).some((el) => el !== postElement);
+      counts.countsHidden =
+        (!!reactionSummary && !!reactions && !reactions.total) ||
+        (counts.commentCount === null && hasComments);
+
+      // Facebook leaves a counter out when it is zero
+      if (!counts.countsHidden && this.hasActionBar(postElement)) {
+        if (counts.commentCount === null) counts.commentCount = 0;
+        if (counts.shareCount === null) counts.shareCount = 0;
+      }
+    } catch (error) {
+      console.error('Lỗi khi trích xuất số bình luận/chia sẻ:', error);
+    }
+
+    return counts;
+  }
+
+  /**
+   * Whether the post's Like / Comment / Share buttons were rendered
+   * @param {HTMLElement} postElement - The post DOM element
+   * @returns {boolean}
+   */
+  hasActionBar(postElement) {
+    return Array.from(postElement.querySelectorAll('[role="button"]')).some(
+      (el) => {
+        const article = el.closest('[role="article"]');
+        if (article && article !== postElement) return false;
+        return /^(comment|bình luận|share|chia sẻ)$/i.test(
+          el.textContent.normalize('NFC').trim()
+        );
+      }
+    );
+  }
+
+  /**
+   * Parse abbreviated counts in English and Vietnamese formats
+   * ("1.2K", "1,2K", "2,3 N", "1,5 Tr", "2 triệu", "1,234", "1.234")
+   * @param {string} text - Text containing a count
+   * @returns {number|null} Parsed number, null if none was found
+   */
+  parseAbbreviatedNumber(text) {
+    if (!text) return null;
+
+    const multipliers = {
+      k: 1e3,
+      n: 1e3,
+      nghìn: 1e3,
+      ngàn: 1e3,
+      m: 1e6,
+      tr: 1e6,
+      triệu: 1e6,
+      b: 1e9,
+      tỷ: 1e9,
+      tỉ: 1e9
+    };
+
+    const match = text
+      .normalize('NFC')
+      .match(
+        /(\d+(?:[.,]\d+)*)\s*(nghìn|ngàn|triệu|tỷ|tỉ|tr|k|n|m|b)?(?!\p{L})/iu
+      );
+    if (!match) return null;
+
+    let digits = match[1];
+    const suffix = match[2] ? match[2].toLowerCase() : null;
+    const groups = digits.split(/[.,]/);
+
+    if (groups.length > 1) {
+      const last = groups[groups.length - 1];
+      if (!suffix && last.length === 3) {
+        // "1,234" or "1.234" - thousands grouping
+        digits = groups.join('');
+      } else {
+        // "1.2K" or "2,3 N" - the last separator is the decimal point
+        digits = `${groups.slice(0, -1).join('')}.${last}`;
+      }
+    }
+
+    const value = parseFloat(digits);
+    if (isNaN(value)) return null;
+
+    return Math.round(value * (suffix ? multipliers[suffix] : 1));
+  }
+
+  /**
+   * Parse a price like "1.500.000 ₫", "₫1,500,000", "$12.50", "1tr5" or "500k"
+   * @param {string} text - Text containing a price
+   * @param {boolean} allowBare - Accept an amount with no currency, for text
+   *   that is known to be a price ("Giá: 8.500.000")
+   * @returns {Object|null} { price, currency, text } - currency is null for
+   *   bare amounts
+   */
+  parsePrice(text, allowBare = false) {
+    if (!text) return null;
+
+    const normalized = text
+      .normalize('NFC')
+      .toLowerCase()
+      .replace(/[\u00a0\u202f]/g, ' ');
+
+    const free = normalized.match(/(?:^|[^\p{L}])(free|miễn phí)(?!\p{L})/u);
+    if (free) return { price: 0, currency: null, text: free[1] };
+
+    const currencies = {
+      '₫': 'VND',
+      đ: 'VND',
+      vnd: 'VND',
+      vnđ: 'VND',
+      đồng: 'VND',
+      $: 'USD',
+      us$: 'USD',
+      usd: 'USD',
+      '€': 'EUR',
+      eur: 'EUR'
+    };
+
+    // Full amount with a currency on either side
+    const fullPattern =
+      /(us\$|\$|₫|€)?\s*(\d{1,3}(?:([.,])\d{3})(?:\3\d{3})*|\d+)(?:[.,](\d{1,2}))?(?!\d)\s*(vnđ|vnd|đồng|usd|eur|₫|đ|\$|€)?(?!\p{L})/gu;
+    let bare = null;
+    for (const match of normalized.matchAll(fullPattern)) {
+      const currency = match[1] || match[5];
+      if (!currency) {
+        bare = bare || match;
+        continue;
+      }
+
+      const whole = match[2].replace(/[.,]/g, '');
+      const price = parseFloat(match[4] ? `${whole}.${match[4]}` : whole);
+      return {
+        price,
+        currency: currencies[currency],
+        text: match[0].trim()
+      };
+    }
+
+    // Cách viết tắt: "1tr5" = 1.500.000, "1,5 triệu", "500k", "2 tỷ 3"
+    const multipliers = {
+      tỷ: 1e9,
+      tỉ: 1e9,
+      ty: 1e9,
+      triệu: 1e6,
+      trieu: 1e6,
+      tr: 1e6,
+      củ: 1e6,
+      nghìn: 1e3,
+      ngàn: 1e3,
+      k: 1e3
+    };
+    const short = normalized.match(
+      /(\d+(?:[.,]\d+)?)\s*(tỷ|tỉ|ty|triệu|trieu|tr|củ|nghìn|ngàn|k)\s*(\d{1,3})?(?![\p{L}\d])/u
+    );
+    if (short) {
+      const multiplier = multipliers[short[2]];
+      let price = parseFloat(short[1].replace(',', '.')) * multiplier;
+
+      // Digits after the unit are the next three places: 1tr5 = 1tr500k
+      if (short[3]) {
+        price += parseInt(short[3].padEnd(3, '0'), 10) * (multiplier / 1000);
+      }
+
+      return {
+        price: Math.round(price),
+        currency: 'VND',
+        text: short[0].trim()
+      };
+    }
+
+    if (allowBare && bare) {
+      const whole = bare[2].replace(/[.,]/g, '');
+      return {
+        price: parseFloat(bare[4] ? `${whole}.${bare[4]}` : whole),
+        currency: null,
+        text: bare[0].trim()
+      };
+    }
+
+    return null;
+  }
+
   /**
    * Loại bỏ các bài trùng lặp trước khi lưu
    */
   removeDuplicatePosts() {
-    const seen = new Set();
-    this.scrapedPosts = this.scrapedPosts.filter((post) => {
-      // Sử dụng content làm "fingerprint" nếu không có postId
-      const uniqueKey =
-        post.postId ||
-        this.createContentFingerprint({ textContent: post.content });
-
-      // Trả về false nếu đã thấy key này, true nếu chưa thấy
-      if (seen.has(uniqueKey)) {
-        return false;
+    // Gộp các alias của từng bản ghi; fingerprint đã có sẵn trong aliases
+    for (const post of this.scrapedPosts) {
+      this.postIdentities.register([post.postId, ...(post.aliases || [])]);
+    }
+
+    const merged = new Map();
+    for (const post of this.scrapedPosts) {
+      const key = this.postIdentities.resolve(post.postId);
+
+      if (merged.has(key)) {
+        this.mergePostRecords(merged.get(key), post);
       } else {
-        seen.add(uniqueKey);
-        return true;
+        merged.set(key, post);
       }
-    });
+    }
+
+    this.scrapedPosts = Array.from(merged.values());
+    this.upgradePostIds();
 
     this.log(`Sau khi loại bỏ trùng lặp: ${this.scrapedPosts.length} bài viết`);
   }
@@ -0,0 +1,171 @@
+/**
+ * Offline language identifier for post and comment text. Tuned for the
+ * Vietnamese/English mix of our groups: Vietnamese with or without
+ * diacritics, English, and code-switched text mixing both
+ */
+class LanguageDetector {
+  constructor() {
+    // Scripts that identify a language on their own, counted per character
+    this.scripts = [
+      { code: 'zh', pattern: /\p{Script=Han}/gu, weight: 0.5 },
+      {
+        code: 'ja',
+        pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu,
+        weight: 0.5
+      },
+      { code: 'ko', pattern: /\p{Script=Hangul}/gu, weight: 0.5 },
+      { code: 'th', pattern: /\p{Script=Thai}/gu, weight: 0.2 },
+      { code: 'ru', pattern: /\p{Script=Cyrillic}/gu, weight: 0.2 }
+    ];
+
+    // Letters only Vietnamese uses among Latin scripts
+    this.vietnameseLetters =
+      /[àáảãạăằắẳẵặâầấẩẫậđèéẻẽẹêềếểễệìíỉĩịòóỏõọôồốổỗộơờớởỡợùúủũụưừứửữựỳýỷỹỵ]/;
+
+    // Âm tiết tiếng Việt khi bỏ dấu: phụ âm đầu + nguyên âm + âm cuối
+    this.syllablePattern =
+      /^(?:ngh|ng|nh|ch|gh|gi|kh|ph|th|tr|qu|[bcdghklmnprstvx])?(?:[aeiouy]{1,3})(?:ng|nh|ch|[cmnpt])?$/;
+
+    // Letters and clusters that never occur in a Vietnamese syllable
+    this.nonVietnamese = /[fjwz]|(?:sh|wh|ck|ee|oo|ll|ss|tt|ff|rr|pp|gg|dd)/;
+
+    // English words that are not also a Vietnamese word written without
+    // diacritics. Also lists English words shaped like a Vietnamese syllable
+    // ("team", "much"), which would otherwise count as Vietnamese
+    this.englishWords = new Set(
+      (
+        'about after all also and any are as at because been but by could did ' +
+        'does for from get got had has have her him his how if into is its just ' +
+        'know like more not now of one or our out some that the their then there ' +
+        'these they this up us very was we were what when where which who will ' +
+        'with would you your yes please thanks thank hello guys good great new ' +
+        'post group sale price free much team each deal cheap main'
+      ).split(' ')
+    );
+
+    // Words both languages use: "on" (ơn), "me" (mẹ), "to", "can" (cần)...
+    this.sharedWords = new Set(
+      (
+        'a am an be can do he hi i in it me my no ok okay on so ' +
+        'than them to'
+      ).split(' ')
+    );
+
+    // Từ phổ biến tiếng Việt không dấu và viết tắt hay gặp
+    this.vietnameseWords = new Set(
+      (
+        'khong ko k dc duoc nguoi cua nhung trong va la mot cho nay thi minh ban em ' +
+        'roi nha di den ve voi cac nhieu lam biet gi sao nao nhu vay day do co ' +
+        'cung con da dang se bi neu vi nen khi luc ai hay moi mn bn vs ntn r j ' +
+        'ak a oi nhe nhi ha hen chu ma ca tui toi chi bac ong ba gia mua'
+      ).split(' ')
+    );
+  }
+
+  /**
+   * Detect the language of a text
+   * @param {string} text - Post or comment text
+   * @returns {Object} { language, confidence, languages, mixed }
+   */
+  detect(text) {
+    const result = {
+      language: 'und',
+      confidence: 0,
+      languages: {},
+      mixed: false
+    };
+    if (!text || typeof text !== 'string') return result;
+
+    const cleaned = text
+      .normalize('NFC')
+      .toLowerCase()
+      .replace(/\b(?:https?:\/\/|www\.)\S+/g, ' ')
+      .replace(/[@#]\S+/g, ' ');
+
+    const scores = {};
+    const add = (code, weight) => {
+      scores[code] = (scores[code] || 0) + weight;
+    };
+
+    for (const script of this.scripts) {
+      const matches = cleaned.match(script.pattern);
+      if (matches) add(script.code, matches.length * script.weight);
+    }
+
+    // Evidence that can only belong to one language, for deciding `mixed`:
+    // script scores plus a count of unambiguous words
+    const sure = { ...scores };
+
+    for (const word of cleaned.match(/\p{Script=Latin}+/gu) || []) {
+      const vote = this.classifyWord(word);
+      if (!vote) continue;
+      add(vote.code, vote.weight);
+      if (vote.sure) sure[vote.code] = (sure[vote.code] || 0) + 1;
+    }
+
+    const total = Object.values(scores).reduce((sum, value) => sum + value, 0);
+    if (total === 0) return result;
+
+    const ranked = Object.entries(scores)
+      .map(([code, score]) => [code, score / total])
+      .sort((a, b) => b[1] - a[1]);
+
+    for (const [code, share] of ranked) {
+      result.languages[code] = Math.round(share * 100) / 100;
+    }
+
+    // Short texts carry little evidence, even when every word agrees
+    const [language, share] = ranked[0];
+    result.language = language;
+    result.confidence =
+      Math.round(share * Math.min(1, 0.4 + total / 15) * 100) / 100;
+
+    // Code-switching: a second language with a few words of its own, not
+    // just a loanword lost in a long text
+    const sureTotal = Object.values(sure).reduce(
+      (sum, value) => sum + value,
+      0
+    );
+    result.mixed =
+      Object.values(sure).filter(
+        (count) => count >= 2 && count >= sureTotal * 0.1
+      ).length > 1;
+
+    return result;
+  }
+
+  /**
+   * Vote of a single Latin word
+   * @returns {Object|null} { code, weight, sure } or null when ambiguous;
+   * sure is false for a bare syllable that may as well be English
+   */
+  classifyWord(word) {
+    if (this.vietnameseLetters.test(word)) {
+      return { code: 'vi', weight: 1, sure: true };
+    }
+
+    // Bỏ dấu để so với từ tiếng Việt viết không dấu
+    const bare = word
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/đ/g, 'd');
+
+    if (this.sharedWords.has(bare)) return null;
+
+    const isEnglish = this.englishWords.has(bare);
+    const isVietnamese = this.vietnameseWords.has(bare);
+    if (isEnglish && isVietnamese) return null;
+    if (isEnglish) return { code: 'en', weight: 0.8, sure: true };
+    if (isVietnamese) return { code: 'vi', weight: 0.8, sure: true };
+
+    if (this.nonVietnamese.test(bare) || !this.syllablePattern.test(bare)) {
+      return bare.length >= 3 ? { code: 'en', weight: 0.6, sure: true } : null;
+    }
+
+    // A valid syllable is weak evidence: many short English words fit too
+    return { code: 'vi', weight: bare.length >= 3 ? 0.5 : 0.2, sure: false };
+  }
+}
+
+// Create global instance
+window.languageDetector = new LanguageDetector();
@@ -0,0 +1,145 @@
+/**
+ * Keeps every ID a post has been seen under (numeric ID, pfbid, content
+ * fingerprint, generated ID) and maps them all to the best one found so far,
+ * so a post first seen by its fingerprint is recognised once its permalink
+ * renders
+ */
+class PostIdentityResolver {
+  constructor() {
+    this.canonical = new Map(); // alias -> canonical ID
+    this.groups = new Map(); // canonical ID -> Set of aliases
+  }
+
+  /**
+   * How trustworthy an ID is: real Facebook IDs beat fingerprints
+   */
+  rank(id) {
+    if (/^\d+$/.test(id)) return 3;
+    if (/^pfbid/.test(id)) return 2;
+    if (/^content_/.test(id)) return 1;
+    return 0;
+  }
+
+  /**
+   * Best ID among a list of aliases of the same post
+   */
+  best(ids) {
+    return ids.reduce(
+      (best, id) =>
+        best === null || this.rank(id) > this.rank(best) ? id : best,
+      null
+    );
+  }
+
+  /**
+   * Record that all given IDs belong to the same post
+   * @param {Array<string>} ids - Aliases found on one post element
+   * @returns {Object} { id, isNew, replacedIds } - replacedIds are canonical
+   * IDs that were merged into id and should be renamed in stored records
+   */
+  register(ids) {
+    const aliases = [...new Set(ids.filter(Boolean))];
+    if (aliases.length === 0)
+      return { id: null, isNew: false, replacedIds: [] };
+
+    const strong = aliases.filter((id) => this.rank(id) >= 2);
+    const numeric = aliases.filter((id) => this.rank(id) === 3);
+    const found = new Set();
+    const members = new Set();
+
+    for (const alias of aliases) {
+      const id = this.canonical.get(alias);
+      if (!id) {
+        members.add(alias);
+        continue;
+      }
+
+      // Hai bài khác nhau có thể trùng fingerprint (cùng người, cùng nội dung).
+      // No shared alias merges two posts with different numeric IDs
+      const group = this.groups.get(id);
+      const conflicts =
+        this.rank(alias) < 2
+          ? strong.length > 0 &&
+            this.rank(id) >= 2 &&
+            !strong.some((s) => group.has(s))
+          : numeric.some((n) => !group.has(n)) &&
+            [...group].some((a) => this.rank(a) === 3 && !numeric.includes(a));
+      if (!conflicts) {
+        found.add(id);
+        members.add(alias);
+      }
+    }
+
+    for (const id of found) {
+      for (const alias of this.groups.get(id)) members.add(alias);
+    }
+
+    // Giữ ID cũ khi ngang hạng để không đổi tên bản ghi không cần thiết
+    const id = [...found, ...members].reduce((best, candidate) =>
+      this.rank(candidate) > this.rank(best) ? candidate : best
+    );
+
+    for (const old of found) this.groups.delete(old);
+    this.groups.set(id, members);
+    for (const alias of members) this.canonical.set(alias, id);
+
+    return {
+      id,
+      isNew: found.size === 0,
+      replacedIds: [...found].filter((old) => old !== id)
+    };
+  }
+
+  /**
+   * Whether any of the IDs has been registered
+   */
+  has(id) {
+    return this.canonical.has(id);
+  }
+
+  /**
+   * Current canonical ID of an alias, or the alias itself when unknown
+   */
+  resolve(id) {
+    return this.canonical.get(id) || id;
+  }
+
+  /**
+   * All known aliases of a post, best first
+   */
+  getAliases(id) {
+    const aliases = this.groups.get(this.resolve(id));
+    if (!aliases) return id ? [id] : [];
+    return [...aliases].sort((a, b) => this.rank(b) - this.rank(a));
+  }
+
+  clear() {
+    this.canonical.clear();
+    this.groups.clear();
+  }
+
+  /**
+   * Alias groups as plain data for chrome.storage, most recently updated last
+   * @param {number} limit - Keep only the newest groups
+   * @returns {Array<Array<string>>} One array of aliases per post
+   */
+  toJSON(limit = Infinity) {
+    return [...this.groups.values()]
+      .slice(-limit)
+      .map((aliases) => [...aliases]);
+  }
+
+  /**
+   * Merge alias groups saved by toJSON, from this or another run
+   * @param {Array<Array<string>>} saved
+   */
+  load(saved) {
+    if (!Array.isArray(saved)) return;
+    for (const aliases of saved) {
+      if (Array.isArray(aliases)) this.register(aliases);
+    }
+  }
+}
+
+// Exposed as a class: the scraper keeps one registry, saved between runs
+window.PostIdentityResolver = PostIdentityResolver;
@@ -0,0 +1,333 @@
+/**
+ * Parser for the relative and localized timestamps Facebook shows on posts
+ * and comments ("3h", "2 giờ", "Yesterday at 9:14 PM", "3 tháng 3, 2023"...)
+ */
+class TimestampParser {
+  constructor() {
+    // Precision levels, from most to least trustworthy
+    this.precisionRank = { exact: 3, minute: 2, day: 1, unknown: 0 };
+
+    this.monthNames = {
+      january: 0,
+      jan: 0,
+      february: 1,
+      feb: 1,
+      march: 2,
+      mar: 2,
+      april: 3,
+      apr: 3,
+      may: 4,
+      june: 5,
+      jun: 5,
+      july: 6,
+      jul: 6,
+      august: 7,
+      aug: 7,
+      september: 8,
+      sept: 8,
+      sep: 8,
+      october: 9,
+      oct: 9,
+      november: 10,
+      nov: 10,
+      december: 11,
+      dec: 11
+    };
+
+    // Index matches Date.getDay()
+    this.weekdayNames = [
+      ['sunday', 'sun', 'chủ nhật', 'cn'],
+      ['monday', 'mon', 'thứ hai', 'thứ 2'],
+      ['tuesday', 'tue', 'tues', 'thứ ba', 'thứ 3'],
+      ['wednesday', 'wed', 'thứ tư', 'thứ 4'],
+      ['thursday', 'thu', 'thurs', 'thứ năm', 'thứ 5'],
+      ['friday', 'fri', 'thứ sáu', 'thứ 6'],
+      ['saturday', 'sat', 'thứ bảy', 'thứ 7']
+    ];
+
+    // Relative units: aliases, length in ms and how far the result can be trusted
+    this.relativeUnits = [
+      {
+        aliases: ['s', 'sec', 'secs', 'second', 'seconds', 'giây'],
+        ms: 1000,
+        precision: 'minute'
+      },
+      {
+        aliases: ['m', 'min', 'mins', 'minute', 'minutes', 'phút'],
+        ms: 60 * 1000,
+        precision: 'minute'
+      },
+      {
+        // Facebook truncates hours, so only the day can be relied on
+        aliases: ['h', 'hr', 'hrs', 'hour', 'hours', 'giờ', 'tiếng'],
+        ms: 60 * 60 * 1000,
+        precision: 'day'
+      },
+      {
+        aliases: ['d', 'day', 'days', 'ngày'],
+        ms: 24 * 60 * 60 * 1000,
+        precision: 'day'
+      },
+      {
+        aliases: ['w', 'wk', 'wks', 'week', 'weeks', 'tuần'],
+        ms: 7 * 24 * 60 * 60 * 1000,
+        precision: 'day'
+      },
+      {
+        aliases: ['mo', 'mos', 'month', 'months', 'tháng'],
+        ms: 30 * 24 * 60 * 60 * 1000,
+        precision: 'unknown'
+      },
+      {
+        aliases: ['y', 'yr', 'yrs', 'year', 'years', 'năm'],
+        ms: 365 * 24 * 60 * 60 * 1000,
+        precision: 'unknown'
+      }
+    ];
+
+    const timePattern =
+      '(\\d{1,2})(?:[:h](\\d{2}))?\\s*(am|pm|a\\.m\\.|p\\.m\\.|sa|ch)?';
+    const monthPattern = Object.keys(this.monthNames).join('|');
+    const atPattern = '(?:,?\\s*(?:at|lúc|vào lúc)\\s+|,\\s*)';
+
+    this.patterns = {
+      justNow: /^(?:just now|now|vừa xong|mới đây)$/,
+      relative: new RegExp(
+        `^(\\d+|an?|one|một)\\s*(${this.relativeUnits
+          .flatMap((unit) => unit.aliases)
+          .sort((a, b) => b.length - a.length)
+          .join('|')})(?:\\s+(?:ago|trước))?$`
+      ),
+      dayReference: new RegExp(
+        `^(yesterday|today|hôm qua|hôm nay)(?:${atPattern}${timePattern})?$`
+      ),
+      weekday: new RegExp(
+        `^(${this.weekdayNames.flat().join('|')})${atPattern}${timePattern}$`
+      ),
+      // "March 3", "March 3, 2023", "March 3 at 5:12 PM"
+      monthFirst: new RegExp(
+        `^(${monthPattern})\\.?\\s+(\\d{1,2})(?:,?\\s+(\\d{4}))?(?:${atPattern}${timePattern})?$`
+      ),
+      // "3 March 2023", "3 March at 17:12"
+      dayFirst: new RegExp(
+        `^(\\d{1,2})\\s+(${monthPattern})\\.?(?:,?\\s+(\\d{4}))?(?:${atPattern}${timePattern})?$`
+      ),
+      // "3 tháng 3, 2023", "ngày 3 tháng 3 năm 2023 lúc 17:12"
+      vietnamese: new RegExp(
+        `^(?:ngày\\s+)?(\\d{1,2})\\s+tháng\\s+(\\d{1,2})(?:,?\\s*(?:năm\\s+)?(\\d{4}))?(?:${atPattern}${timePattern})?$`
+      ),
+      // Weekday prefix on tooltip dates: "Monday, March 3, 2025 at 5:12 PM"
+      weekdayPrefix: new RegExp(
+        `^(?:${this.weekdayNames.flat().join('|')}),\\s*`
+      )
+    };
+  }
+
+  /**
+   * Parse a timestamp string into an absolute date
+   * @param {string} text - Raw text from the DOM (link text, aria-label, tooltip)
+   * @param {Date} now - Reference time for relative strings
+   * @returns {Object|null} { timestamp, timestampText, timestampPrecision }
+   */
+  parse(text, now = new Date()) {
+    if (!text || typeof text !== 'string') return null;
+
+    const raw = text.trim();
+    const normalized = this.normalize(raw);
+    if (!normalized || normalized.length > 80) return null;
+
+    try {
+      const result =
+        this.parseJustNow(normalized, now) ||
+        this.parseRelative(normalized, now) ||
+        this.parseDayReference(normalized, now) ||
+        this.parseWeekday(normalized, now) ||
+        this.parseAbsolute(normalized, now);
+
+      if (!result || isNaN(result.date.getTime())) return null;
+
+      return {
+        timestamp: result.date.toISOString(),
+        timestampText: raw,
+        timestampPrecision: result.precision
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Build a result from a unix time in seconds (data-utime)
+   */
+  fromUnixTime(unixTime, text = null) {
+    const seconds = parseInt(unixTime, 10);
+    if (isNaN(seconds)) return null;
+
+    return {
+      timestamp: new Date(seconds * 1000).toISOString(),
+      timestampText: text || String(unixTime),
+      timestampPrecision: 'exact'
+    };
+  }
+
+  /**
+   * Empty result used when no timestamp could be found
+   */
+  unknown(text = null) {
+    return {
+      timestamp: null,
+      timestampText: text,
+      timestampPrecision: 'unknown'
+    };
+  }
+
+  /**
+   * Whether result a is more trustworthy than result b
+   */
+  isMorePrecise(a, b) {
+    if (!a) return false;
+    if (!b) return true;
+    return (
+      this.precisionRank[a.timestampPrecision] >
+      this.precisionRank[b.timestampPrecision]
+    );
+  }
+
+  /**
+   * Lowercase and strip the separators Facebook puts around timestamps
+   */
+  normalize(text) {
+    return text
+      .normalize('NFC')
+      .toLowerCase()
+      .replace(/[\u00a0\u202f]/g, ' ')
+      .replace(/[·•]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .replace(/\s*(?:edited|đã chỉnh sửa)$/, '')
+      .trim();
+  }
+
+  parseJustNow(text, now) {
+    if (!this.patterns.justNow.test(text)) return null;
+    return { date: new Date(now.getTime()), precision: 'minute' };
+  }
+
+  parseRelative(text, now) {
+    const match = text.match(this.patterns.relative);
+    if (!match) return null;
+
+    const amount = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : 1;
+    const unit = this.relativeUnits.find((u) => u.aliases.includes(match[2]));
+    if (!unit) return null;
+
+    return {
+      date: new Date(now.getTime() - amount * unit.ms),
+      precision: unit.precision
+    };
+  }
+
+  parseDayReference(text, now) {
+    const match = text.match(this.patterns.dayReference);
+    if (!match) return null;
+
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    if (match[1] === 'yesterday' || match[1] === 'hôm qua') {
+      date.setDate(date.getDate() - 1);
+    }
+
+    return this.applyTime(date, match[2], match[3], match[4]);
+  }
+
+  parseWeekday(text, now) {
+    const match = text.match(this.patterns.weekday);
+    if (!match) return null;
+
+    const weekday = this.weekdayNames.findIndex((names) =>
+      names.includes(match[1])
+    );
+    if (weekday === -1) return null;
+
+    // Facebook only uses weekday names for the past week
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    let diff = (date.getDay() - weekday + 7) % 7;
+    if (diff === 0) diff = 7;
+    date.setDate(date.getDate() - diff);
+
+    return this.applyTime(date, match[2], match[3], match[4]);
+  }
+
+  parseAbsolute(text, now) {
+    const stripped = text.replace(this.patterns.weekdayPrefix, '');
+    let day, month, year, time;
+
+    let match = stripped.match(this.patterns.monthFirst);
+    if (match) {
+      month = this.monthNames[match[1]];
+      day = parseInt(match[2], 10);
+      year = match[3];
+      time = match.slice(4, 7);
+    }
+
+    if (!match) {
+      match = stripped.match(this.patterns.dayFirst);
+      if (match) {
+        day = parseInt(match[1], 10);
+        month = this.monthNames[match[2]];
+        year = match[3];
+        time = match.slice(4, 7);
+      }
+    }
+
+    if (!match) {
+      match = stripped.match(this.patterns.vietnamese);
+      if (match) {
+        day = parseInt(match[1], 10);
+        month = parseInt(match[2], 10) - 1;
+        year = match[3];
+        time = match.slice(4, 7);
+      }
+    }
+
+    if (!match || month < 0 || month > 11 || day < 1 || day > 31) {
+      return null;
+    }
+
+    const date = new Date(
+      year ? parseInt(year, 10) : now.getFullYear(),
+      month,
+      day
+    );
+
+    // Dates without a year are from the last twelve months
+    if (!year && date.getTime() > now.getTime() + 24 * 60 * 60 * 1000) {
+      date.setFullYear(date.getFullYear() - 1);
+    }
+
+    return this.applyTime(date, time[0], time[1], time[2]);
+  }
+
+  /**
+   * Set the clock time on a date, precision depends on whether one was given
+   */
+  applyTime(date, hours, minutes, meridiem) {
+    if (hours === undefined) {
+      return { date, precision: 'day' };
+    }
+
+    let h = parseInt(hours, 10);
+    const m = minutes ? parseInt(minutes, 10) : 0;
+    const marker = (meridiem || '').replace(/\./g, '');
+
+    // Vietnamese uses SA (sáng) for AM and CH (chiều) for PM
+    if ((marker === 'pm' || marker === 'ch') && h < 12) h += 12;
+    if ((marker === 'am' || marker === 'sa') && h === 12) h = 0;
+
+    if (h > 23 || m > 59) return { date, precision: 'day' };
+
+    date.setHours(h, m, 0, 0);
+    return { date, precision: 'minute' };
+  }
+}
+
+// Create global instance
+window.timestampParser = new TimestampParser();